@@ -1,24 +1,37 @@
 // Galerie-Konfiguration
 export const GALLERY_CONFIG = {
-    // Raum-Dimensionen
+    // Standard-Dimensionen für Räume ohne eigene Angaben im Layout
     ROOM: {
         WIDTH: 25,
         DEPTH: 25,
         WALL_HEIGHT: 8
     },
 
-    // Korridor-Dimensionen
+    // Standard-Dimensionen für Korridore ohne eigene Angaben im Layout
     CORRIDOR: {
         WIDTH: 6,
-        LENGTH: 10,
         WALL_HEIGHT: 8
     },
 
-    // Layout-Konfiguration
+    // Standard-Dimensionen für Durchgänge
+    DOORWAY: {
+        WIDTH: 6,
+        HEIGHT: 6
+    },
+
+    // Layout-Datei mit Räumen, Korridoren, Durchgängen und Beleuchtung
     LAYOUT: {
-        ROOM1_CENTER: { x: 0, z: 0 },
-        CORRIDOR_CENTER: { x: 0, z: 30 },
-        ROOM2_CENTER: { x: 0, z: 60 }
+        FILE: 'assets/data/layout.json'
+    },
+
+    // Ausstellungs-Manifest (Kunstwerke mit Metadaten, vom Server ausgeliefert)
+    EXHIBITION: {
+        ENDPOINT: '/api/exhibitions',
+        DEFAULT: 'main',
+        WALL_OFFSET: 0.01, // Abstand der Bilder zur Wand gegen Z-Fighting
+        SPOTLIGHT_DISTANCE: 3.5, // Abstand der Spotlights zur Wand
+        INFO_DISTANCE: 6, // maximale Entfernung für die Info-Karte
+        VIEW_DISTANCE: 3 // Abstand des Betrachterstandpunkts zur Wand
     },
 
     // Kamera-Einstellungen
@@ -29,12 +42,27 @@ export const GALLERY_CONFIG = {
         INITIAL_Z: 3,
         INITIAL_Y: 2,
         MOVE_SPEED: 10,
-        BOUNDARY_BUFFER: 0.5,
+        COLLISION_RADIUS: 0.35, // Radius der Spielerkapsel
+        HEAD_CLEARANCE: 0.2, // Kapsel-Oberkante über Augenhöhe
         JUMP_VELOCITY: 8,
         GRAVITY: -25,
         GROUND_LEVEL: 1.7
     },
 
+    // Bewegungsarten (Geschwindigkeit relativ zu CAMERA.MOVE_SPEED)
+    MOVEMENT: {
+        SPEED_FACTORS: {
+            walk: 1,
+            sprint: 1.6,
+            crouch: 0.4,
+            stroll: 0.35 // Gemütlicher Galerie-Rundgang
+        },
+        ACCELERATION: 40, // Einheiten/s²
+        DECELERATION: 60,
+        CROUCH_EYE_HEIGHT: 1.0,
+        CROUCH_TRANSITION_SPEED: 4 // Augenhöhe-Änderung in Einheiten/s
+    },
+
     // Beleuchtung
     LIGHTING: {
         AMBIENT: {
@@ -111,28 +139,168 @@ export const GALLERY_CONFIG = {
         CAMERA_BOTTOM: -10
     },
 
+    // Starrkörper-Physik für aufhebbare Objekte
+    PHYSICS: {
+        TIMESTEP: 1 / 120, // Fester Simulationsschritt in Sekunden
+        MAX_SUBSTEPS: 8, // Höchstens so viele Schritte pro Frame
+        GRAVITY: -15,
+        MAX_SPEED: 20,
+        MAX_THROW_SPEED: 12, // Wurfgeschwindigkeit aus der Kamerabewegung beim Loslassen
+        RESTITUTION: 0.35, // Abprall (0 = keiner, 1 = verlustfrei)
+        BOUNCE_THRESHOLD: 1, // Langsamere Stöße prallen nicht ab
+        FRICTION: 0.5, // Gleitreibung bei Kontakt
+        ROLLING_FRICTION: 0.5, // Abbremsen auf dem Untergrund pro Sekunde
+        SPIN_TRANSFER: 0.3, // Anteil, mit dem Gleiten in Rollen übergeht
+        ANGULAR_FRICTION: 3,
+        AIR_DAMPING: 0.2,
+        SETTLE_RATE: 6, // Kippen auf eine Seitenfläche pro Sekunde
+        SLEEP_SPEED: 0.05,
+        SLEEP_TIME: 0.4 // Sekunden in Ruhe, bis ein Körper schläft
+    },
+
     // Animation
     ANIMATION: {
         CUBE_ROTATION_SPEED: 0.01
     },
 
-    // Portal-Einstellungen (Einweg-Portal-System)
+    // Multiplayer-Einstellungen (werden auch serverseitig zur Validierung genutzt)
+    MULTIPLAYER: {
+        NAME_MAX_LENGTH: 24,
+        CHAT_MAX_LENGTH: 200,
+        BOUNDS_TOLERANCE: 1,
+        INTERPOLATION_DELAY: 150, // ms, entfernte Spieler werden so weit in der Vergangenheit dargestellt
+        EXTRAPOLATION_LIMIT: 250, // ms, maximale Vorhersage bei Paketverlust
+        SNAPSHOT_BUFFER_SIZE: 30,
+        // Farbpalette für zufällige Kleidungsfarben
+        PLAYER_COLORS: [
+            0xff6b6b, 0x4ecdc4, 0x45b7d1, 0x96ceb4, 0xfeca57,
+            0xff9ff3, 0x54a0ff, 0x5f27cd, 0x00d2d3, 0xff9f43
+        ]
+    },
+
+    // Chat-Overlay und Sprechblasen
+    CHAT: {
+        MAX_MESSAGES: 50,
+        FADE_DELAY: 10000, // ms bis eine Nachricht im geschlossenen Chat ausgeblendet wird
+        BUBBLE_DURATION: 6000 // ms Anzeigedauer der Sprechblase
+    },
+
+    // Gamepad (Standard-Mapping der Gamepad API)
+    GAMEPAD: {
+        DEAD_ZONE: 0.15, // Stick-Ausschläge darunter werden ignoriert
+        LOOK_SENSITIVITY: 2.5, // rad/s bei vollem Ausschlag des rechten Sticks
+        MIN_SENSITIVITY: 0.5,
+        MAX_SENSITIVITY: 6,
+        INVERT_Y: false,
+        // Button-Index -> Eingabe-Aktion
+        BUTTONS: {
+            0: 'JUMP', // A / Kreuz
+            1: 'CROUCH', // B / Kreis
+            2: 'INTERACT', // X / Quadrat
+            3: 'TOGGLE_BLOOM', // Y / Dreieck
+            10: 'SPRINT' // Linken Stick drücken
+        }
+    },
+
+    // Kamerafahrten (geführte Touren, Demo-Schleife)
+    CAMERA_PATHS: {
+        FILE: 'assets/data/camera-paths.json',
+        DEFAULT: 'open-day',
+        IDLE_TIMEOUT: 120, // s ohne Eingabe bis zum automatischen Start (0 = aus)
+        RECORD_DURATION: 4, // Fahrzeit aufgenommener Keyframes in s
+        RECORD_TARGET_DISTANCE: 5 // Abstand des Blickziels aufgenommener Keyframes
+    },
+
+    // Navigationsmenü und Deep Links (#artwork=<id>)
+    NAVIGATION: {
+        FADE_DURATION: 350 // Ab- bzw. Aufblenden beim Sprung in ms
+    },
+
+    // Minimap und Grundriss-Ansicht
+    MINIMAP: {
+        SIZE: 180, // Kantenlänge der Minimap in px
+        SCALE: 5, // px pro Meter in der Minimap (die große Karte zeigt die ganze Galerie)
+        EXPANDED_PADDING: 30, // Rand der großen Karte in px
+        MARKER_HIT_RADIUS: 14, // Klickradius um Markierungen in px
+        WAYPOINT_REACH_DISTANCE: 1.5, // Wegpunkt gilt in diesem Abstand als erreicht
+        FLOOR_COLOR: '#3a3a3a',
+        WALL_COLOR: '#d0d0d0',
+        ARTWORK_COLOR: '#ffd700',
+        PLAYER_COLOR: '#ffffff',
+        WAYPOINT_COLOR: '#ff4d6d'
+    },
+
+    // Flugmodus für Zuschauer und Debugging
+    FLY: {
+        SPEED: 12,
+        MIN_SPEED: 2,
+        MAX_SPEED: 80,
+        SPEED_STEP: 1.25 // Faktor pro Mausrad-Raste
+    },
+
+    // Touch-Steuerung für Tablets und Smartphones
+    TOUCH: {
+        JOYSTICK_RADIUS: 50, // px, voller Ausschlag
+        DEAD_ZONE: 0.1,
+        LOOK_SENSITIVITY: 0.005, // rad pro px Wischbewegung
+        CROSSHAIR_SCALE: 1.8
+    },
+
+    // Portal-Einstellungen (Standardwerte und Portal-Registry)
     PORTAL: {
         ENABLED: true,
-        RECURSION_DEPTH: 5,
+        MODE: 'auto', // 'auto' (Stencil, ohne Stencil-Buffer Textur), 'stencil' oder 'texture'
+        RECURSION_DEPTH: 5, // Standard je Portal (höchstens 8)
+        RECURSION_BUDGET: 8, // Portalansichten pro Frame über alle Portale
+        DEBUG_MODE: false, // Draw-Calls je Rekursionsebene jede Sekunde in der Konsole
         WIDTH: 3,
         HEIGHT: 4,
         FRAME_WIDTH: 0.15,
         FRAME_COLOR: 0x1a1a2e,
-        PORTAL_COLOR: 0x00aaff
+        PORTAL_COLOR: 0x00aaff,
+
+        // Portale: Bereich und offset von dessen Mitte, rotationY (Vorderseite), target = Portal-id.
+        // Optional je Portal: width, height, elevation, color, frameColor, frameWidth, recursionDepth
+        PORTALS: [
+            {
+                id: 'room1-shortcut',
+                area: 'room1',
+                offset: { x: -7, z: 8 },
+                rotationY: Math.PI,
+                target: 'room2-shortcut'
+            },
+            {
+                id: 'room2-shortcut',
+                area: 'room2',
+                offset: { x: -7, z: -8 },
+                rotationY: 0,
+                target: 'room1-shortcut',
+                frameColor: 0x2e1a3e,
+                recursionDepth: 3
+            }
+        ]
     }
 };
 
-// Tastenbelegung
+// Standard-Tastenbelegung (im Einstellungsmenü änderbar)
 export const KEY_MAPPINGS = {
     FORWARD: 'KeyW',
     BACKWARD: 'KeyS',
     LEFT: 'KeyA',
     RIGHT: 'KeyD',
     JUMP: 'Space',
+    SPRINT: 'ShiftLeft',
+    CROUCH: 'KeyC',
+    STROLL: 'KeyG',
+    FLY: 'KeyV',
+    TOUR: 'KeyT',
+    RECORD_KEYFRAME: 'KeyR',
+    INTERACT: 'KeyE',
+    TOGGLE_BLOOM: 'KeyP',
+    CHAT: 'Enter',
+    PROFILE: 'KeyO',
+    ARTWORK_VIEW: 'KeyF',
+    SETTINGS: 'KeyK',
+    NAVIGATION: 'KeyN',
+    MINIMAP: 'KeyM',
 };
@@ -10,6 +10,22 @@ import { UnrealBloomPass } from 'UnrealBloomPass';
 import { Intersect } from './modules/intersect.js';
 import { AudioManager } from './modules/audio.js';
 import { PortalManager } from './modules/portal.js';
+import { PortalRegistry } from './modules/portalRegistry.js';
+import { PortalPass } from './modules/portalPass.js';
+import { ChatManager } from './modules/chat.js';
+import { ProfileForm, getPersonOptions } from './modules/playerProfile.js';
+import { GalleryLayout } from './modules/galleryLayout.js';
+import { Exhibition } from './modules/exhibition.js';
+import { ArtworkInfoManager } from './modules/artworkInfo.js';
+import { CollisionManager } from './modules/collision.js';
+import { PhysicsManager } from './modules/physics.js';
+import { InputManager } from './modules/input.js';
+import { SettingsMenu } from './modules/settingsMenu.js';
+import { GamepadManager } from './modules/gamepad.js';
+import { TouchControlsManager } from './modules/touch.js';
+import { CinematicManager } from './modules/cinematic.js';
+import { NavigationManager } from './modules/navigation.js';
+import { MinimapManager } from './modules/minimap.js';
 
 /**
  * Renderer-Verwaltung
@@ -95,20 +111,29 @@ class GalleryApp {
         this.listener = new THREE.AudioListener();
         this.bloomEnabled = true; // Bloom toggle state
         this.bloomPass = null; // Reference to bloom pass
+        this.layout = null;
+        this.exhibition = null;
+        this.portals = [];
         this.init();
     }
 
     /**
      * Initialisiert alle Manager und die Galerie
      */
-    init() {
+    async init() {
         try {
             this.initializeManagers();
             this.setupManagerConnections();
             this.setupIntersect();
+            this.setupTouchControls();
+            this.layout = await GalleryLayout.load();
+            this.exhibition = await Exhibition.load(this.layout.exhibition, this.layout);
+            await this.managers.cinematic.load(this.exhibition);
             this.setupScene();
             this.setupEventListeners();
             this.setupPostProcessing();
+            this.setupNavigation();
+            this.setupMinimap();
             this.start();
 
             // Initialize UI state
@@ -126,14 +151,23 @@ class GalleryApp {
     initializeManagers() {
         this.managers.scene = new SceneManager();
         this.managers.renderer = new RendererManager();
-        this.managers.camera = new CameraManager(this.managers.renderer.getRenderer());
+        this.managers.input = new InputManager();
+        this.managers.camera = new CameraManager(this.managers.renderer.getRenderer(), this.managers.input);
         this.managers.geometry = new GeometryManager(this.managers.scene.getScene());
         this.managers.lighting = new LightingManager(this.managers.scene.getScene());
+        this.managers.collision = new CollisionManager();
 
         // Beide Manager verknüpfen
         this.managers.geometry.setLightingManager(this.managers.lighting);
         this.managers.lighting.setGeometryManager(this.managers.geometry);
 
+        // Hindernisse für die Spielerkapsel
+        this.managers.geometry.setCollisionManager(this.managers.collision);
+        this.managers.camera.setCollisionManager(this.managers.collision);
+
+        // Starrkörper-Physik für aufhebbare Objekte (prallt an denselben Hindernissen ab)
+        this.managers.physics = new PhysicsManager(this.managers.collision);
+
         this.managers.camera.getCamera().add(this.listener);
         this.managers.audio = new AudioManager(this.listener);
 
@@ -145,13 +179,27 @@ class GalleryApp {
             this.managers.camera
         );
 
+        this.managers.multiplayer.setCollisionManager(this.managers.collision);
+
+        this.managers.chat = new ChatManager(this.managers.multiplayer, this.managers.camera, this.managers.input);
+        this.managers.multiplayer.setChatManager(this.managers.chat);
+
+        this.managers.artworkInfo = new ArtworkInfoManager(this.managers.camera, this.managers.input);
+        this.managers.gamepad = new GamepadManager(this.managers.input, this.managers.camera);
+        this.managers.cinematic = new CinematicManager(this.managers.camera, this.managers.input);
+        this.managers.settings = new SettingsMenu(this.managers.input, this.managers.camera, this.managers.gamepad);
+        this.managers.navigation = new NavigationManager(this.managers.camera, this.managers.input);
+        this.managers.minimap = new MinimapManager(this.managers.camera, this.managers.input, this.managers.geometry);
+        this.managers.minimap.setMultiplayerManager(this.managers.multiplayer);
+
         if (GALLERY_CONFIG.PORTAL.ENABLED) {
             this.managers.portal = new PortalManager(
                 this.managers.renderer.getRenderer(),
                 this.managers.scene.getScene(),
                 this.managers.camera.getCamera(),
                 {
-                    recursionDepth: GALLERY_CONFIG.PORTAL.RECURSION_DEPTH,
+                    mode: GALLERY_CONFIG.PORTAL.MODE,
+                    recursionBudget: GALLERY_CONFIG.PORTAL.RECURSION_BUDGET,
                     debugMode: GALLERY_CONFIG.PORTAL.DEBUG_MODE
                 }
             );
@@ -173,12 +221,74 @@ class GalleryApp {
      */
     setupEventListeners() {
         window.addEventListener('resize', () => this.handleResize());
-        window.addEventListener('keydown', (event) => this.handleGlobalKeyDown(event));
+        this.managers.input.onAction((action, pressed) => {
+            if (pressed) this.handleGlobalAction(action);
+        });
         window.addEventListener('click', (event) => this.handlePickupClick(event));
         setInterval(() => this.updateMultiplayerStatus(), 1000);
 
+        this.updateKeyHints();
+        this.managers.input.onBindingsChange(() => this.updateKeyHints());
+
         // UI Controls Event Listeners
         this.setupUIControls();
+        this.setupProfilePanel();
+    }
+
+    /**
+     * Tastenhinweise (data-key-action) mit der aktuellen Belegung beschriften
+     */
+    updateKeyHints() {
+        const input = this.managers.input;
+        for (const element of document.querySelectorAll('[data-key-action]')) {
+            element.textContent = input.getKeyLabel(input.getBinding(element.dataset.keyAction));
+        }
+    }
+
+    /**
+     * Profil-Panel zum Ändern von Name und Farben während der Sitzung
+     */
+    setupProfilePanel() {
+        this.profilePanel = document.getElementById('profile-panel');
+        const form = document.getElementById('profile-form');
+        if (!this.profilePanel || !form) return;
+
+        this.profileForm = new ProfileForm(form, (profile) => {
+            this.managers.multiplayer.updateProfile(profile);
+            this.rebuildLocalPlayerBody();
+            this.closeProfilePanel();
+        });
+
+        // Eingaben im Panel nicht an Kamera- und Galerie-Steuerung weitergeben
+        this.profilePanel.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                this.closeProfilePanel();
+            }
+        });
+        this.profilePanel.addEventListener('keyup', (event) => event.stopPropagation());
+        this.profilePanel.addEventListener('mousedown', (event) => event.stopPropagation());
+
+        const cancelButton = document.getElementById('profile-cancel');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.closeProfilePanel());
+        }
+    }
+
+    openProfilePanel() {
+        if (!this.profilePanel) return;
+
+        this.managers.camera.releaseKeys();
+        this.managers.camera.unlockPointer();
+        this.profileForm.fill(this.managers.multiplayer.getProfile());
+        this.profilePanel.classList.remove('hidden');
+    }
+
+    closeProfilePanel() {
+        if (!this.profilePanel) return;
+
+        this.profilePanel.classList.add('hidden');
+        this.managers.camera.lockPointer();
     }
 
     /**
@@ -220,17 +330,39 @@ class GalleryApp {
     }
 
     /**
-     * Globale Tastaturkürzel
+     * Globale Aktionen (Belegung über InputManager)
      */
-    handleGlobalKeyDown(event) {
-        if (event.code === 'KeyE' && this.managers.camera.getControls().isLocked) {
-            const camera = this.managers.camera.getCamera();
-            this.intersect.togglePickup(camera);
+    handleGlobalAction(action) {
+        switch (action) {
+            case 'INTERACT':
+                // Mit Gamepad oder Touch wird der Mauszeiger nicht gesperrt
+                if (this.managers.camera.isControlActive() || this.managers.gamepad.isConnected()) {
+                    this.intersect.togglePickup(this.managers.camera.getCamera());
+                }
+                break;
+            case 'TOGGLE_BLOOM':
+                this.toggleBloom();
+                this.updateBloomButtonUI();
+                break;
+            case 'PROFILE':
+                this.openProfilePanel();
+                break;
+            case 'SETTINGS':
+                this.managers.settings.open();
+                break;
         }
+    }
 
-        if (event.code === 'KeyP') {
-            this.toggleBloom();
-        }
+    /**
+     * Ist gerade ein Overlay offen, das die Steuerung übernimmt?
+     */
+    isOverlayOpen() {
+        return this.managers.chat.isOpen
+            || this.managers.settings.isOpen()
+            || this.managers.navigation.isOpen()
+            || this.managers.minimap.isExpanded()
+            || this.managers.artworkInfo.isViewerActive()
+            || (!!this.profilePanel && !this.profilePanel.classList.contains('hidden'));
     }
 
     /**
@@ -245,12 +377,6 @@ class GalleryApp {
         this.bloomEnabled = !this.bloomEnabled;
         this.bloomPass.enabled = this.bloomEnabled;
 
-        // Temporarily disable portal rendering when bloom is enabled to avoid conflicts
-        if (this.managers.portal) {
-            this.managers.portal.enabled = !this.bloomEnabled;
-            console.log(`Portal rendering ${this.bloomEnabled ? 'disabled' : 'enabled'} (to ${this.bloomEnabled ? 'show' : 'hide'} bloom effect)`);
-        }
-
         console.log(`Bloom effect ${this.bloomEnabled ? 'enabled' : 'disabled'}`);
         console.log(`Bloom parameters: strength=${this.bloomPass.strength}, radius=${this.bloomPass.radius}, threshold=${this.bloomPass.threshold}`);
         console.log(`Composer passes: ${this.composer.passes.length}`);
@@ -268,9 +394,14 @@ class GalleryApp {
             const isConnected = this.managers.multiplayer.isMultiplayerConnected();
             const playerCount = this.managers.multiplayer.getPlayerCount();
 
+            const instanceName = this.managers.multiplayer.getInstanceName();
+
             if (isConnected) {
-                statusElement.textContent = `Multiplayer: Connected (${playerCount} player${playerCount !== 1 ? 's' : ''})`;
+                statusElement.textContent = `Multiplayer: Connected to "${instanceName}" (${playerCount} player${playerCount !== 1 ? 's' : ''})`;
                 statusElement.style.color = '#4ecdc4';
+            } else if (this.managers.multiplayer.isInstanceFull()) {
+                statusElement.textContent = `Multiplayer: Instance "${instanceName}" is full`;
+                statusElement.style.color = '#feca57';
             } else {
                 statusElement.textContent = 'Multiplayer: Disconnected';
                 statusElement.style.color = '#ff6b6b';
@@ -282,7 +413,10 @@ class GalleryApp {
      * 3D-Szene mit allen Objekten aufbauen
      */
     setupScene() {
-        this.managers.geometry.createGalleryStructure();
+        this.managers.geometry.createGalleryStructure(this.layout);
+        this.managers.lighting.createLayoutLights(this.layout);
+        this.managers.lighting.createArtworkSpotlights(this.exhibition.getArtworks());
+        this.managers.camera.setGalleryLayout(this.layout);
         this.managers.geometry.createCube();
         this.createPickableCube();
         this.createArtworks();
@@ -297,7 +431,7 @@ class GalleryApp {
      * Stein-Podest mit Normal-Mapping in Raum 2 erstellen
      */
     createStonePedestal() {
-        const room2Center = GALLERY_CONFIG.LAYOUT.ROOM2_CENTER;
+        const room2Center = this.layout.getRoom('room2').center;
         const pedestalPosition = new THREE.Vector3(
             room2Center.x + 8,
             0,
@@ -313,70 +447,67 @@ class GalleryApp {
     createPickableCube() {
         const pickableCube = this.managers.geometry.createPickableCube();
         this.intersect.addPickableObject(pickableCube);
+        this.managers.physics.addBody(pickableCube);
     }
 
     /**
-     * Einweg-Portal im Korridor erstellen
+     * Portale aus GALLERY_CONFIG.PORTAL.PORTALS erstellen
      */
     createPortals() {
         if (!this.managers.portal) return;
 
-        const portalConfig = GALLERY_CONFIG.PORTAL;
-        const corridorConfig = GALLERY_CONFIG.CORRIDOR;
-        const layoutConfig = GALLERY_CONFIG.LAYOUT;
+        const registry = new PortalRegistry(GALLERY_CONFIG.PORTAL.PORTALS, this.layout);
+        this.portals = this.managers.portal.createPortals(registry);
 
-        // Sichtbares Portal an der rechten Korridorwand
-        const viewPortalPosition = new THREE.Vector3(
-            -corridorConfig.WIDTH / 2 + 0.05,
-            corridorConfig.WALL_HEIGHT / 2 - 1.5,
-            layoutConfig.CORRIDOR_CENTER.z
-        );
-        const viewPortalRotation = new THREE.Euler(0, Math.PI / 2, 0);
-
-        // Referenzpunkt an der linken Wand
-        const referencePosition = new THREE.Vector3(
-            corridorConfig.WIDTH / 2 - 0.05,
-            corridorConfig.WALL_HEIGHT / 2 - 1.5,
-            layoutConfig.CORRIDOR_CENTER.z
-        );
-        const referenceRotation = new THREE.Euler(0, -Math.PI / 2, 0);
-
-        const { portalMesh, frameMesh } = this.managers.portal.createViewPortal(
-            portalConfig.WIDTH,
-            portalConfig.HEIGHT,
-            viewPortalPosition,
-            viewPortalRotation,
-            {
-                portalColor: portalConfig.PORTAL_COLOR,
-                frameColor: portalConfig.FRAME_COLOR,
-                frameWidth: portalConfig.FRAME_WIDTH
-            }
-        );
+        console.log(`Created ${this.portals.length} portal(s)`);
+    }
 
-        const referencePoint = this.managers.portal.createReferencePoint(
-            referencePosition,
-            referenceRotation
-        );
+    /**
+     * Spieler (und gehaltenes Objekt) versetzen, wenn er eine Portalfläche durchquert hat
+     */
+    updatePortalTraversal(previousPosition) {
+        if (!this.managers.portal || this.managers.camera.isSpectating()) return;
 
-        this.managers.scene.add(portalMesh);
-        this.managers.scene.add(frameMesh);
-        this.managers.portal.setupPortal(portalMesh, referencePoint, frameMesh);
+        const portal = this.managers.portal.findCrossedPortal(previousPosition, this.managers.camera.getPosition());
+        if (!portal) return;
 
-        this.portal = {
-            viewPortal: portalMesh,
-            frame: frameMesh,
-            reference: referencePoint
-        };
-
-        console.log('One-way portal created: View portal on right corridor wall, reference point on left wall');
+        const matrix = this.managers.portal.getTeleportMatrix(portal);
+        this.managers.camera.applyPortalTransform(matrix);
+        this.intersect.transformHeldObject(matrix);
     }
 
-
     setupIntersect() {
         this.intersect = new Intersect();
         window.addEventListener('mousemove', (e) => this.intersect.updateMouse(e, this.managers.camera.getCamera()));
     }
 
+    /**
+     * Navigationsmenü füllen und einen Deep Link (#artwork=<id>) direkt anspringen
+     */
+    setupNavigation() {
+        this.managers.navigation.setContent(this.layout, this.exhibition);
+        this.managers.navigation.applyDeepLink();
+    }
+
+    /**
+     * Kunstwerke und Portale auf der Minimap markieren
+     */
+    setupMinimap() {
+        this.managers.minimap.setArtworks(this.exhibition.getArtworks());
+        this.managers.minimap.setPortals(this.portals);
+    }
+
+    /**
+     * Touch-Steuerung (schaltet sich auf Touch-Geräten selbst ein)
+     */
+    setupTouchControls() {
+        this.managers.touch = new TouchControlsManager(
+            this.managers.input,
+            this.managers.camera,
+            this.intersect
+        );
+    }
+
     addIntersectObjects(objects) {
         if (this.intersect)
             this.intersect.setObjects(objects);
@@ -387,12 +518,19 @@ class GalleryApp {
         const scene = this.managers.scene.getScene();
         const camera = this.managers.camera.getCamera();
 
-        // Composer für Post-Processing Pipeline
-        this.composer = new EffectComposer(renderer);
+        // Composer für Post-Processing Pipeline (Stencil-Buffer für die Portale)
+        const size = renderer.getSize(new THREE.Vector2());
+        const renderTarget = new THREE.WebGLRenderTarget(size.width, size.height, {
+            type: THREE.HalfFloatType,
+            stencilBuffer: true
+        });
+        this.composer = new EffectComposer(renderer, renderTarget);
 
-        // RenderPass rendert Szene auf interne Textur
-        const renderPass = new RenderPass(scene, camera);
-        this.composer.addPass(renderPass);
+        // Szene (mit Portalen) auf interne Textur rendern
+        const scenePass = this.managers.portal
+            ? new PortalPass(this.managers.portal)
+            : new RenderPass(scene, camera);
+        this.composer.addPass(scenePass);
 
         // Bloom-Effekt Parameter
         const bloomParams = {
@@ -409,6 +547,9 @@ class GalleryApp {
         );
 
         this.composer.addPass(this.bloomPass);
+
+        // Puffer und Passes auf Fenstergröße und Pixeldichte bringen
+        this.composer.setSize(size.width, size.height);
     }
 
     createFractal() {
@@ -416,7 +557,7 @@ class GalleryApp {
         this.dragon = this.managers.geometry.createDragonFractal(
             'room2',
             'rightWall',
-            GALLERY_CONFIG.ROOM.WALL_HEIGHT,
+            this.layout.getRoom('room2').height,
             { color: 0xff0000, maxOrder: 12 },
             7, 5, 1
 
@@ -424,7 +565,7 @@ class GalleryApp {
         this.dragon2 = this.managers.geometry.createDragonFractal(
             'room2',
             'leftWall',
-            GALLERY_CONFIG.ROOM.WALL_HEIGHT,
+            this.layout.getRoom('room2').height,
             { color: 0x0000FF, maxOrder: 11 },
             6, 2, 1
         );
@@ -453,66 +594,23 @@ class GalleryApp {
     }
 
     /**
-     * Kunstwerke in der Galerie erstellen und positionieren
+     * Kunstwerke aus dem Ausstellungs-Manifest erstellen und positionieren
      */
     createArtworks() {
-        const room1Paintings = [
-            {
-                image: 'assets/images/vanGogh.jpg',
-                width: 8,
-                height: 4,
-                position: new THREE.Vector3(-12.49, 4, GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.z),
-                rotation: new THREE.Vector3(0, Math.PI / 2, 0)
-            },
-            {
-                image: 'assets/images/vanGogh2.jpg',
-                width: 8,
-                height: 4,
-                position: new THREE.Vector3(12.49, 4, GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.z),
-                rotation: new THREE.Vector3(0, -Math.PI / 2, 0)
-            },
-            {
-                image: 'assets/images/claudeMonet.jpg',
-                width: 8,
-                height: 4,
-                position: new THREE.Vector3(0, 4, -12.49),
-                rotation: new THREE.Vector3(0, 0, 0)
-            },
-            {
-                image: 'assets/images/claudeMonet2.jpg',
-                width: 5,
-                height: 2.5,
-                position: new THREE.Vector3(-8, 4, -12.49),
-                rotation: new THREE.Vector3(0, 0, 0)
-            },
-            {
-                image: 'assets/images/claudeMonet3.jpg',
-                width: 5,
-                height: 2.5,
-                position: new THREE.Vector3(8, 4, -12.49),
-                rotation: new THREE.Vector3(0, 0, 0)
-            }
-        ];
-
-        const corridorPaintings = [
-            {
-                image: 'assets/images/reflection.jpg',
-                width: 3,
-                height: 4,
-                position: new THREE.Vector3(-GALLERY_CONFIG.CORRIDOR.WIDTH / 2 + 0.01, 2.5, GALLERY_CONFIG.LAYOUT.CORRIDOR_CENTER.z - 3.5),
-                rotation: new THREE.Vector3(0, Math.PI / 2, 0)
-            }
-        ];
-
-        [...room1Paintings, ...corridorPaintings].forEach((painting, index) => {
-            this.managers.geometry.createPainting(
-                painting.image,
-                painting.width,
-                painting.height,
-                painting.position,
-                painting.rotation
+        for (const artwork of this.exhibition.getArtworks()) {
+            const painting = this.managers.geometry.createPainting(
+                artwork.image,
+                artwork.width,
+                artwork.height,
+                artwork.position,
+                new THREE.Vector3(0, artwork.rotationY, 0),
+                artwork.id
             );
-        });
+
+            // Metadaten am Bild für die Info-Karte (Titel, Künstler, Jahr, Beschreibung)
+            painting.userData.artwork = artwork;
+            this.intersect.addArtworkObject(painting);
+        }
     }
 
     doCarpet() {
@@ -611,12 +709,14 @@ class GalleryApp {
 
         if (this.intersect) {
             this.intersect.updateCrosshairFeedback(camera);
+            // Bei Tour-Stopps an einem Kunstwerk die Info-Karte auch ohne Fadenkreuz zeigen
+            this.managers.artworkInfo.update(this.managers.cinematic.getPausedArtwork() || this.intersect.getFocusedArtwork());
 
             if (this.intersect.isHoldingObject()) {
                 this.intersect.updateHeldObject(camera);
             }
 
-            this.intersect.updatePhysics(deltaTime);
+            this.managers.physics.update(deltaTime);
         }
     }
 
@@ -629,16 +729,30 @@ class GalleryApp {
         return deltaTime;
     }
 
-
     /**
      * Alle Szenen-Elemente aktualisieren
      */
     updateScene(deltaTime, currentTime) {
+        if (this.isOverlayOpen()) {
+            this.managers.gamepad.reset();
+        } else {
+            this.managers.gamepad.update(deltaTime);
+        }
+
+        this.managers.cinematic.update(deltaTime, !this.isOverlayOpen());
+        const previousPosition = this.managers.camera.getPosition();
         this.managers.camera.update(deltaTime);
+        this.updatePortalTraversal(previousPosition);
         this.updateLocalPlayerBody(deltaTime);
 
+        if (this.managers.multiplayer) {
+            this.managers.multiplayer.update(deltaTime);
+        }
+
+        this.managers.minimap.update();
+
         if (this.managers.multiplayer && this.managers.multiplayer.isMultiplayerConnected()) {
-            const cameraPosition = this.managers.camera.getPosition();
+            const cameraPosition = this.managers.camera.getNetworkPosition();
             const cameraRotation = this.managers.camera.getRotation();
             this.managers.multiplayer.sendMovement(cameraPosition, cameraRotation);
         }
@@ -656,14 +770,10 @@ class GalleryApp {
     }
 
     renderScene() {
-        const usePortalRendering = this.managers.portal &&
-            this.managers.portal.enabled &&
-            this.managers.portal.hasPortal();
-
-        if (usePortalRendering) {
-            this.managers.portal.render();
-        } else if (this.composer) {
+        if (this.composer) {
             this.composer.render();
+        } else if (this.managers.portal) {
+            this.managers.portal.render();
         } else {
             this.managers.renderer.render(
                 this.managers.scene.getScene(),
@@ -687,13 +797,13 @@ class GalleryApp {
 
         this.managers.camera.updateAspectRatio();
         this.managers.renderer.handleResize();
+        this.intersect.updateAspectRatio(width / height);
 
         if (this.composer) {
             this.composer.setSize(width, height);
         }
     }
 
-
     /**
      * Lokalen Spielerkörper für First-Person-Ansicht erstellen
      */
@@ -707,8 +817,8 @@ class GalleryApp {
         this.localPlayerBody = personManager.createPerson(
             new THREE.Vector3(cameraPos.x, personGroupGroundOffset, cameraPos.z),
             {
+                ...getPersonOptions(this.managers.multiplayer.getProfile().colors),
                 name: 'localPlayer',
-                clothingColor: 0x4169e1,
                 scale: playerScale
             }
         );
@@ -740,7 +850,13 @@ class GalleryApp {
         console.log('Local player body created with full model (head on layer 1 - visible from portals only)');
     }
 
-
+    /**
+     * Lokalen Spielerkörper nach Profiländerung neu aufbauen
+     */
+    rebuildLocalPlayerBody() {
+        this.managers.geometry.getPersonManager().removePerson('localPlayer');
+        this.createLocalPlayerBody();
+    }
 
     /**
      * Lokalen Spielerkörper mit Kamerabewegung synchronisieren und Laufanimation
@@ -748,13 +864,15 @@ class GalleryApp {
     updateLocalPlayerBody(deltaTime) {
         if (!this.localPlayerBody) return;
 
+        // Im Flugmodus und während Kamerafahrten gibt es keinen eigenen Körper
+        this.localPlayerBody.visible = !this.managers.camera.isSpectating();
+        if (!this.localPlayerBody.visible) return;
+
         const cameraPos = this.managers.camera.getPosition();
-        const cameraKeys = this.managers.camera.keys;
         const jumpState = this.managers.camera.jumpState;
 
         const playerScale = 1.15;
         const personGroupGroundOffset = -0.2 * playerScale;
-        const cameraHeight = 1.7;
 
         const direction = this.managers.camera.getWorldDirection();
         const yRotation = Math.atan2(direction.x, direction.z);
@@ -766,12 +884,18 @@ class GalleryApp {
         this.localPlayerBody.position.x = cameraPos.x + offsetX;
         this.localPlayerBody.position.z = cameraPos.z + offsetZ;
 
-        const jumpHeight = Math.max(0, cameraPos.y - cameraHeight);
-        this.localPlayerBody.position.y = personGroupGroundOffset + jumpHeight;
+        const personManager = this.managers.geometry.getPersonManager();
+        personManager.updateCrouchPose(this.localPlayerBody, this.managers.camera.getMovementMode() === 'crouch', deltaTime);
+
+        const jumpHeight = Math.max(0, cameraPos.y - this.managers.camera.getEyeHeight());
+        this.localPlayerBody.position.y = personGroupGroundOffset + jumpHeight - this.localPlayerBody.animationState.crouchDrop;
 
         this.localPlayerBody.rotation.y = yRotation;
 
-        const isMoving = cameraKeys.forward || cameraKeys.backward || cameraKeys.left || cameraKeys.right;
+        // Schrittfrequenz folgt der tatsächlichen Geschwindigkeit (Schlendern, Gehen, Sprinten)
+        const speed = this.managers.camera.getSpeed();
+        const isMoving = speed > 0.3;
+        const speedFactor = THREE.MathUtils.clamp(speed / GALLERY_CONFIG.CAMERA.MOVE_SPEED, 0.4, 1.6);
         const isJumping = jumpState.isJumping;
 
         const bodyParts = this.localPlayerBody.bodyParts;
@@ -783,7 +907,7 @@ class GalleryApp {
         // Laufanimation
         if (isMoving && !isJumping) {
             animState.isWalking = true;
-            animState.walkCycle += deltaTime * 8;
+            animState.walkCycle += deltaTime * 8 * speedFactor;
 
             const legSwing = Math.sin(animState.walkCycle) * 0.5;
 
@@ -0,0 +1,94 @@
+/**
+ * Info-Karte zum Kunstwerk im Fadenkreuz und Vollbildansicht
+ */
+export class ArtworkInfoManager {
+    constructor(cameraManager, inputManager) {
+        this.camera = cameraManager;
+        this.input = inputManager;
+        this.currentArtwork = null;
+        this.isViewerOpen = false;
+
+        this.card = document.getElementById('artwork-info');
+        this.viewer = document.getElementById('artwork-viewer');
+
+        if (!this.card || !this.viewer) {
+            console.warn('ArtworkInfoManager: artwork info elements missing in gallery.html');
+            return;
+        }
+
+        this.title = this.card.querySelector('.artwork-title');
+        this.meta = this.card.querySelector('.artwork-meta');
+        this.description = this.card.querySelector('.artwork-description');
+        this.viewerImage = this.viewer.querySelector('img');
+        this.viewerCaption = this.viewer.querySelector('.artwork-viewer-caption');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.onAction((action, pressed) => {
+            if (!pressed || action !== 'ARTWORK_VIEW') return;
+
+            if (this.isViewerOpen) {
+                this.closeViewer();
+            } else if (this.currentArtwork) {
+                this.openViewer(this.currentArtwork);
+            }
+        });
+
+        window.addEventListener('keydown', (event) => {
+            if (event.code === 'Escape' && this.isViewerOpen) {
+                this.closeViewer();
+            }
+        });
+
+        // Klick in die Vollbildansicht schließt sie, ohne den Klick an die Szene weiterzugeben
+        this.viewer.addEventListener('mousedown', (event) => {
+            event.stopPropagation();
+            this.closeViewer();
+        });
+    }
+
+    /**
+     * Info-Karte für das fokussierte Kunstwerk anzeigen (null blendet sie aus)
+     */
+    update(artwork) {
+        if (!this.card || artwork === this.currentArtwork) return;
+
+        this.currentArtwork = artwork;
+
+        if (!artwork) {
+            this.card.classList.add('hidden');
+            return;
+        }
+
+        this.title.textContent = artwork.title;
+        this.meta.textContent = [artwork.artist, artwork.year].filter(Boolean).join(', ');
+        this.description.textContent = artwork.description;
+        this.card.classList.remove('hidden');
+    }
+
+    /**
+     * Vollbildansicht öffnen: Mauszeiger freigeben und Bewegung anhalten
+     */
+    openViewer(artwork) {
+        this.isViewerOpen = true;
+        this.camera.releaseKeys();
+        this.camera.unlockPointer();
+
+        this.viewerImage.src = artwork.highResImage;
+        this.viewerImage.alt = artwork.title;
+        this.viewerCaption.textContent = [artwork.title, artwork.artist, artwork.year].filter(Boolean).join(' · ');
+        this.viewer.classList.remove('hidden');
+    }
+
+    closeViewer() {
+        this.isViewerOpen = false;
+        this.viewer.classList.add('hidden');
+        this.camera.lockPointer();
+    }
+
+    isViewerActive() {
+        return this.isViewerOpen;
+    }
+}
@@ -1,13 +1,26 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
-import { GALLERY_CONFIG, KEY_MAPPINGS } from '../config/constants.js';
+import { GALLERY_CONFIG } from '../config/constants.js';
+import { clampToWalkableAreas } from './galleryLayout.js';
+
+// Eingabe-Aktionen, die eine Bewegungstaste halten
+const ACTION_KEYS = {
+    FORWARD: 'forward',
+    BACKWARD: 'backward',
+    LEFT: 'left',
+    RIGHT: 'right',
+    JUMP: 'jump',
+    SPRINT: 'sprint',
+    CROUCH: 'crouch'
+};
 
 /**
  * Kamera- und Steuerungs-Verwaltung
  */
 export class CameraManager {
-    constructor(renderer) {
+    constructor(renderer, inputManager) {
         this.renderer = renderer;
+        this.input = inputManager;
         this.camera = new THREE.PerspectiveCamera(
             GALLERY_CONFIG.CAMERA.FOV,
             window.innerWidth / window.innerHeight,
@@ -29,9 +42,21 @@ export class CameraManager {
             backward: false,
             left: false,
             right: false,
-            jump: false
+            jump: false,
+            sprint: false,
+            crouch: false
         };
 
+        // Horizontale Geschwindigkeit (Beschleunigung statt sofortiger Richtungswechsel)
+        this.velocity = new THREE.Vector3();
+        this.strollEnabled = false;
+        this.eyeHeight = GALLERY_CONFIG.CAMERA.GROUND_LEVEL;
+
+        // Analoge Bewegung (z.B. Gamepad-Stick), x/y im Bereich -1..1
+        this.analogMove = new THREE.Vector2();
+        this.lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+        this.analogInputListeners = new Set();
+
         // Sprung-Physik
         this.jumpState = {
             isJumping: false,
@@ -39,6 +64,28 @@ export class CameraManager {
             isOnGround: true
         };
 
+        // Begehbare Rechtecke aus dem Layout (bis zum Laden keine Begrenzung)
+        this.walkableAreas = null;
+        this.collisionManager = null;
+
+        // Touch-Modus: kein Pointer-Lock, Blick und Bewegung über TouchControlsManager
+        this.touchMode = false;
+
+        // Flugmodus (Zuschauer/Debug): ohne Schwerkraft, Kollision und Begrenzung
+        this.flyState = {
+            isFlying: false,
+            speed: GALLERY_CONFIG.FLY.SPEED,
+            walkingPosition: new THREE.Vector3()
+        };
+        this.bounds = null;
+
+        // Kamerafahrt: CinematicManager setzt die Pose, Steuerung ruht
+        this.cinematicState = {
+            isActive: false,
+            walkingPosition: new THREE.Vector3(),
+            walkingQuaternion: new THREE.Quaternion()
+        };
+
         this.setupControls();
     }
 
@@ -46,16 +93,16 @@ export class CameraManager {
         this.geometryManager = geometryManager;
     }
 
-
     setupControls() {
         this.setupPointerLock();
         this.setupKeyboardControls();
+        this.setupFlySpeedControl();
     }
 
     setupPointerLock() {
         document.addEventListener('mousedown', (event) => {
             if (event.button === 0) {
-                this.controls.lock();
+                this.lockPointer();
             }
         });
 
@@ -68,64 +115,303 @@ export class CameraManager {
         });
     }
 
+    /**
+     * Mauszeiger sperren (im Touch-Modus gibt es keinen Pointer-Lock)
+     */
+    lockPointer() {
+        if (!this.touchMode) {
+            this.controls.lock();
+        }
+    }
+
+    unlockPointer() {
+        if (!this.touchMode) {
+            this.controls.unlock();
+        }
+    }
+
+    setTouchMode(enabled) {
+        this.touchMode = enabled;
+        if (enabled && this.controls.isLocked) {
+            this.controls.unlock();
+        }
+    }
+
+    isTouchMode() {
+        return this.touchMode;
+    }
+
+    /**
+     * Steuert der Spieler gerade die Kamera (Pointer-Lock oder Touch)?
+     */
+    isControlActive() {
+        return this.controls.isLocked || this.touchMode;
+    }
+
     setupKeyboardControls() {
-        document.addEventListener("keydown", (event) => this.handleKeyDown(event), false);
-        document.addEventListener("keyup", (event) => this.handleKeyUp(event), false);
-    }
-
-    handleKeyDown(event) {
-        switch (event.code) {
-            case KEY_MAPPINGS.FORWARD:
-                this.keys.forward = true;
-                break;
-            case KEY_MAPPINGS.BACKWARD:
-                this.keys.backward = true;
-                break;
-            case KEY_MAPPINGS.LEFT:
-                this.keys.left = true;
-                break;
-            case KEY_MAPPINGS.RIGHT:
-                this.keys.right = true;
-                break;
-            case KEY_MAPPINGS.JUMP:
-                this.keys.jump = true;
-                break;
+        this.input.onAction((action, pressed) => {
+            const key = ACTION_KEYS[action];
+            if (key) {
+                this.keys[key] = pressed;
+            } else if (action === 'STROLL' && pressed) {
+                this.strollEnabled = !this.strollEnabled;
+                console.log(`Stroll mode ${this.strollEnabled ? 'enabled' : 'disabled'}`);
+            } else if (action === 'FLY' && pressed) {
+                this.setFlyMode(!this.flyState.isFlying);
+            }
+        });
+    }
+
+    /**
+     * Mausrad ändert im Flugmodus die Fluggeschwindigkeit
+     */
+    setupFlySpeedControl() {
+        document.addEventListener('wheel', (event) => {
+            // Scrollen in Menüs und Chat ändert die Geschwindigkeit nicht
+            if (!this.flyState.isFlying || !this.controls.isLocked) return;
+
+            const { SPEED_STEP, MIN_SPEED, MAX_SPEED } = GALLERY_CONFIG.FLY;
+            const factor = event.deltaY < 0 ? SPEED_STEP : 1 / SPEED_STEP;
+            this.flyState.speed = THREE.MathUtils.clamp(this.flyState.speed * factor, MIN_SPEED, MAX_SPEED);
+            console.log(`Fly speed: ${this.flyState.speed.toFixed(1)}`);
+        }, { passive: true });
+    }
+
+    /**
+     * Flugmodus ein-/ausschalten
+     *
+     * Beim Ausschalten geht es zurück an die Position, an der der Flug begonnen hat.
+     */
+    setFlyMode(enabled) {
+        if (enabled === this.flyState.isFlying) return;
+
+        const position = this.controls.getObject().position;
+        if (enabled) {
+            this.flyState.walkingPosition.copy(position);
+        } else {
+            position.copy(this.flyState.walkingPosition);
         }
+
+        this.flyState.isFlying = enabled;
+        this.velocity.set(0, 0, 0);
+        this.jumpState.isJumping = false;
+        this.jumpState.verticalVelocity = 0;
+
+        console.log(`Fly mode ${enabled ? 'enabled' : 'disabled'}`);
     }
 
-    handleKeyUp(event) {
-        switch (event.code) {
-            case KEY_MAPPINGS.FORWARD:
-                this.keys.forward = false;
-                break;
-            case KEY_MAPPINGS.BACKWARD:
-                this.keys.backward = false;
-                break;
-            case KEY_MAPPINGS.LEFT:
-                this.keys.left = false;
-                break;
-            case KEY_MAPPINGS.RIGHT:
-                this.keys.right = false;
-                break;
-            case KEY_MAPPINGS.JUMP:
-                this.keys.jump = false;
-                break;
+    isFlying() {
+        return this.flyState.isFlying;
+    }
+
+    /**
+     * Kamerafahrt übernimmt die Kamera; danach geht es zurück zur Ausgangsposition und -blickrichtung
+     */
+    setCinematicMode(enabled) {
+        if (enabled === this.cinematicState.isActive) return;
+
+        const position = this.controls.getObject().position;
+        if (enabled) {
+            this.setFlyMode(false);
+            this.releaseKeys();
+            this.unlockPointer();
+            this.cinematicState.walkingPosition.copy(position);
+            this.cinematicState.walkingQuaternion.copy(this.camera.quaternion);
+        } else {
+            position.copy(this.cinematicState.walkingPosition);
+            this.camera.quaternion.copy(this.cinematicState.walkingQuaternion);
+            this.camera.fov = GALLERY_CONFIG.CAMERA.FOV;
+            this.camera.updateProjectionMatrix();
+        }
+
+        this.cinematicState.isActive = enabled;
+    }
+
+    isCinematicActive() {
+        return this.cinematicState.isActive;
+    }
+
+    applyCinematicPose(position, target, fov) {
+        this.controls.getObject().position.copy(position);
+        this.camera.lookAt(target);
+
+        if (this.camera.fov !== fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Direkt an eine Position springen und auf target blicken
+     *
+     * Flug und Kamerafahrt werden beendet, die Position landet in Augenhöhe und wird
+     * wie beim Gehen aus Hindernissen und in die begehbaren Bereiche geschoben.
+     */
+    teleport(position, target) {
+        this.setCinematicMode(false);
+        this.setFlyMode(false);
+        this.velocity.set(0, 0, 0);
+        this.jumpState.isJumping = false;
+        this.jumpState.verticalVelocity = 0;
+
+        const object = this.controls.getObject();
+        object.position.set(position.x, this.eyeHeight, position.z);
+        this.moveWithCollisions(object.position, new THREE.Vector3());
+
+        if (target) {
+            this.camera.lookAt(target.x, target.y, target.z);
         }
     }
 
+    /**
+     * Kamera durch ein Portal versetzen (Position, Blickrichtung und Schwung)
+     *
+     * @param {THREE.Matrix4} matrix Transformation vom Eingangs- zum Zielportal
+     */
+    applyPortalTransform(matrix) {
+        const rotation = new THREE.Quaternion();
+
+        // Position dieses Frames (matrixWorld stammt sonst noch von vor der Bewegung)
+        this.camera.updateMatrixWorld();
+        const transformed = new THREE.Matrix4().multiplyMatrices(matrix, this.camera.matrixWorld);
+        transformed.decompose(this.camera.position, this.camera.quaternion, new THREE.Vector3());
+        matrix.decompose(new THREE.Vector3(), rotation, new THREE.Vector3());
+
+        this.velocity.applyQuaternion(rotation);
+    }
+
+    /**
+     * Für andere Spieler als Zuschauer darstellen (Flugmodus oder Kamerafahrt)
+     */
+    isSpectating() {
+        return this.flyState.isFlying || this.cinematicState.isActive;
+    }
+
+    getFlySpeed() {
+        return this.flyState.speed;
+    }
+
+    /**
+     * Position für andere Spieler: als Zuschauer auf die Galerie-Grenzen beschränkt,
+     * damit der Server sie annimmt
+     */
+    getNetworkPosition() {
+        const position = this.getPosition();
+        if (this.isSpectating() && this.bounds) {
+            const { min, max } = this.bounds;
+            position.x = THREE.MathUtils.clamp(position.x, min.x, max.x);
+            position.y = THREE.MathUtils.clamp(position.y, min.y, max.y);
+            position.z = THREE.MathUtils.clamp(position.z, min.z, max.z);
+        }
+        return position;
+    }
+
+    /**
+     * Alle gedrückten Bewegungstasten loslassen (z.B. wenn ein Eingabefeld den Fokus übernimmt)
+     */
+    releaseKeys() {
+        this.input.releaseAll();
+        for (const key of Object.keys(this.keys)) {
+            this.keys[key] = false;
+        }
+        this.analogMove.set(0, 0);
+        this.velocity.set(0, 0, 0);
+    }
+
+    /**
+     * Aktuelle Bewegungsart: Ducken vor Sprinten vor Schlendern
+     *
+     * @returns {'walk'|'sprint'|'crouch'|'stroll'}
+     */
+    getMovementMode() {
+        if (this.keys.crouch) return 'crouch';
+        if (this.keys.sprint) return 'sprint';
+        if (this.strollEnabled) return 'stroll';
+        return 'walk';
+    }
+
+    isStrollEnabled() {
+        return this.strollEnabled;
+    }
+
+    /**
+     * Aktuelle Augenhöhe über dem Boden (beim Ducken niedriger)
+     */
+    getEyeHeight() {
+        return this.eyeHeight;
+    }
+
+    /**
+     * Augenhöhe gleichmäßig zur Zielhöhe (stehend oder geduckt) bewegen
+     */
+    updateEyeHeight(deltaTime) {
+        const { GROUND_LEVEL } = GALLERY_CONFIG.CAMERA;
+        const { CROUCH_EYE_HEIGHT, CROUCH_TRANSITION_SPEED } = GALLERY_CONFIG.MOVEMENT;
+        const target = this.keys.crouch ? CROUCH_EYE_HEIGHT : GROUND_LEVEL;
+        const step = CROUCH_TRANSITION_SPEED * deltaTime;
+
+        if (Math.abs(target - this.eyeHeight) <= step) {
+            this.eyeHeight = target;
+        } else {
+            this.eyeHeight += Math.sign(target - this.eyeHeight) * step;
+        }
+    }
+
+    /**
+     * Analoge Bewegung setzen (x: rechts, y: rückwärts, Betrag bestimmt die Geschwindigkeit)
+     */
+    setAnalogMovement(x, y) {
+        if (x !== 0 || y !== 0) this.notifyAnalogInput();
+        this.analogMove.set(x, y);
+    }
+
+    /**
+     * Listener für Stick- und Touch-Eingaben (z.B. Leerlauf-Timer und Abbruch von Kamerafahrten)
+     *
+     * @returns {Function} zum Abmelden
+     */
+    onAnalogInput(listener) {
+        this.analogInputListeners.add(listener);
+        return () => this.analogInputListeners.delete(listener);
+    }
+
+    notifyAnalogInput() {
+        for (const listener of this.analogInputListeners) {
+            listener();
+        }
+    }
+
+    /**
+     * Blickrichtung ohne Maus drehen (Gamepad, Touch), Grenzen wie bei PointerLockControls
+     */
+    rotateView(yawDelta, pitchDelta) {
+        if (yawDelta !== 0 || pitchDelta !== 0) this.notifyAnalogInput();
+
+        const object = this.controls.getObject();
+        this.lookEuler.setFromQuaternion(object.quaternion);
+
+        this.lookEuler.y -= yawDelta;
+        this.lookEuler.x -= pitchDelta;
+        this.lookEuler.x = Math.max(
+            Math.PI / 2 - this.controls.maxPolarAngle,
+            Math.min(Math.PI / 2 - this.controls.minPolarAngle, this.lookEuler.x)
+        );
+
+        object.quaternion.setFromEuler(this.lookEuler);
+    }
+
     updateJumpPhysics(deltaTime) {
         const currentPosition = this.controls.getObject().position;
-        const groundLevel = GALLERY_CONFIG.CAMERA.GROUND_LEVEL;
-
-        this.jumpState.isOnGround = currentPosition.y <= groundLevel;
+        this.updateEyeHeight(deltaTime);
+        const groundLevel = this.eyeHeight;
 
-        if (this.keys.jump && this.jumpState.isOnGround && !this.jumpState.isJumping) {
+        // Geduckt kann nicht gesprungen werden
+        if (this.keys.jump && !this.keys.crouch && !this.jumpState.isJumping) {
             this.jumpState.isJumping = true;
             this.jumpState.verticalVelocity = GALLERY_CONFIG.CAMERA.JUMP_VELOCITY;
-            this.jumpState.isOnGround = false;
         }
 
-        if (this.jumpState.isJumping || !this.jumpState.isOnGround) {
+        if (this.jumpState.isJumping) {
             this.jumpState.verticalVelocity += GALLERY_CONFIG.CAMERA.GRAVITY * deltaTime;
             currentPosition.y += this.jumpState.verticalVelocity * deltaTime;
 
@@ -133,30 +419,32 @@ export class CameraManager {
                 currentPosition.y = groundLevel;
                 this.jumpState.verticalVelocity = 0;
                 this.jumpState.isJumping = false;
-                this.jumpState.isOnGround = true;
             }
+        } else {
+            // Am Boden folgt die Kamera der (beim Ducken gleitenden) Augenhöhe
+            currentPosition.y = groundLevel;
         }
+
+        this.jumpState.isOnGround = !this.jumpState.isJumping;
     }
 
     updateMovement(deltaTime) {
         this.updateJumpPhysics(deltaTime);
 
-        if (!this.keys.forward && !this.keys.backward && !this.keys.left && !this.keys.right) {
-            return;
-        }
-
-        const moveSpeed = GALLERY_CONFIG.CAMERA.MOVE_SPEED * deltaTime;
-        const velocity = new THREE.Vector3();
-
-        if (this.keys.forward) velocity.z -= 1;
-        if (this.keys.backward) velocity.z += 1;
-        if (this.keys.left) velocity.x -= 1;
-        if (this.keys.right) velocity.x += 1;
+        // Gewünschte Richtung aus Tasten und Stick (Betrag höchstens 1)
+        const wish = new THREE.Vector3();
+        if (this.keys.forward) wish.z -= 1;
+        if (this.keys.backward) wish.z += 1;
+        if (this.keys.left) wish.x -= 1;
+        if (this.keys.right) wish.x += 1;
+        wish.normalize();
 
-        velocity.normalize();
-        velocity.multiplyScalar(moveSpeed);
+        // Stick-Ausschlag bestimmt die Geschwindigkeit, höchstens volle Laufgeschwindigkeit
+        wish.x += this.analogMove.x;
+        wish.z += this.analogMove.y;
+        if (wish.lengthSq() > 1) wish.normalize();
 
-        // Blickrichtung der Kamera
+        // In Blickrichtung drehen
         const direction = new THREE.Vector3();
         this.camera.getWorldDirection(direction);
         direction.y = 0;
@@ -164,75 +452,135 @@ export class CameraManager {
         const right = new THREE.Vector3();
         right.crossVectors(direction, this.camera.up);
 
-        const movement = new THREE.Vector3();
-        movement.addScaledVector(direction, -velocity.z);
-        movement.addScaledVector(right, velocity.x);
-
-        const previousPosition = this.controls.getObject().position.clone();
-        const newPosition = previousPosition.clone().add(movement);
+        const speed = GALLERY_CONFIG.CAMERA.MOVE_SPEED * GALLERY_CONFIG.MOVEMENT.SPEED_FACTORS[this.getMovementMode()];
+        const targetVelocity = new THREE.Vector3()
+            .addScaledVector(direction, -wish.z)
+            .addScaledVector(right, wish.x)
+            .multiplyScalar(speed);
+
+        this.accelerate(targetVelocity, deltaTime);
+
+        // Auch im Stand auflösen, damit andere Spieler oder Objekte nicht in der Kapsel stecken bleiben
+        const position = this.controls.getObject().position;
+        const before = position.clone();
+        const movement = this.velocity.clone().multiplyScalar(deltaTime);
+        this.moveWithCollisions(position, movement);
+
+        // An Hindernissen gebremst: Geschwindigkeit auf die tatsächliche Bewegung kürzen
+        if (deltaTime > 0) {
+            const actual = position.clone().sub(before).setY(0);
+            if (actual.lengthSq() < movement.lengthSq()) {
+                this.velocity.copy(actual).divideScalar(deltaTime);
+            }
+        }
+    }
 
-        newPosition.y = previousPosition.y;
+    /**
+     * Geschwindigkeit mit begrenzter Beschleunigung an die Zielgeschwindigkeit angleichen
+     */
+    accelerate(targetVelocity, deltaTime) {
+        const { ACCELERATION, DECELERATION } = GALLERY_CONFIG.MOVEMENT;
+        const rate = targetVelocity.lengthSq() >= this.velocity.lengthSq() ? ACCELERATION : DECELERATION;
+        const maxChange = rate * deltaTime;
+
+        const change = targetVelocity.clone().sub(this.velocity);
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        this.velocity.add(change);
+    }
 
-        // Temporäre BoundingBox für Kollisionserkennung
-        const tempPlayerBB = new THREE.Box3().setFromCenterAndSize(
-            newPosition,
-            new THREE.Vector3(1, 1, 1)
-        );
+    /**
+     * Aktuelle horizontale Geschwindigkeit (z.B. für die Laufanimation)
+     */
+    getSpeed() {
+        return Math.hypot(this.velocity.x, this.velocity.z);
+    }
 
-        let collided = false;
-        const cube = this.geometryManager.getObjects().cube;
-        if (tempPlayerBB.intersectsBox(cube.BBox)) {
-            collided = true;
-            console.log('Kollision!');
+    /**
+     * Kapsel um movement bewegen und dabei an Hindernissen entlanggleiten
+     *
+     * Große Schritte (z.B. nach einem Frame-Einbruch) werden unterteilt, damit
+     * die Kapsel nicht durch dünne Wände tunnelt.
+     */
+    moveWithCollisions(position, movement) {
+        const { COLLISION_RADIUS, HEAD_CLEARANCE } = GALLERY_CONFIG.CAMERA;
+        const steps = Math.max(1, Math.ceil(movement.length() / (COLLISION_RADIUS * 0.5)));
+        const step = movement.clone().divideScalar(steps);
+
+        for (let i = 0; i < steps; i++) {
+            position.add(step);
+
+            if (this.collisionManager) {
+                const bottom = position.y - this.eyeHeight;
+                const top = position.y + HEAD_CLEARANCE;
+                this.collisionManager.resolveCapsule(position, COLLISION_RADIUS, bottom, top);
+            }
         }
 
-        if (!collided) {
-            this.controls.getObject().position.copy(newPosition);
-            this.applyBoundaryConstraints(this.controls.getObject().position);
-        }
+        this.applyBoundaryConstraints(position);
+    }
+
+    setCollisionManager(collisionManager) {
+        this.collisionManager = collisionManager;
+    }
+
+    /**
+     * Begehbare Bereiche aus dem Galerie-Layout übernehmen
+     */
+    setGalleryLayout(layout) {
+        this.walkableAreas = layout.getWalkableAreas();
+        this.bounds = layout.getBounds();
     }
 
     /**
-     * Prüft ob Kamera die Galerie-Grenzen überschritten hat und korrigiert die Position
+     * Sicherheitsnetz: Position in die begehbaren Bereiche zurückholen, falls die
+     * Kollisionsauflösung sie doch hinter eine Wand geschoben hat
      */
     applyBoundaryConstraints(position) {
-        const { WIDTH, DEPTH } = GALLERY_CONFIG.ROOM;
-        const { WIDTH: CORRIDOR_WIDTH } = GALLERY_CONFIG.CORRIDOR;
-        const buffer = GALLERY_CONFIG.CAMERA.BOUNDARY_BUFFER;
-
-        const room1Z = GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.z;
-        const room2Z = GALLERY_CONFIG.LAYOUT.ROOM2_CENTER.z;
-
-        const overallBounds = {
-            MIN_X: -WIDTH / 2 + buffer,
-            MAX_X: WIDTH / 2 - buffer,
-            MIN_Z: room1Z - DEPTH / 2 + buffer,
-            MAX_Z: room2Z + DEPTH / 2 - buffer
-        };
+        if (!this.walkableAreas) return;
 
-        const corridorStartZ = room1Z + DEPTH / 2;
-        const corridorEndZ = room2Z - DEPTH / 2;
-        const inCorridor = position.z >= corridorStartZ && position.z <= corridorEndZ;
+        clampToWalkableAreas(this.walkableAreas, position);
+    }
 
-        if (inCorridor) {
-            position.x = Math.max(-CORRIDOR_WIDTH / 2 + buffer, Math.min(CORRIDOR_WIDTH / 2 - buffer, position.x));
+    update(deltaTime) {
+        if (this.cinematicState.isActive) return;
+
+        if (this.flyState.isFlying) {
+            this.updateFlyMovement(deltaTime);
         } else {
-            position.x = Math.max(overallBounds.MIN_X, Math.min(overallBounds.MAX_X, position.x));
+            this.updateMovement(deltaTime);
         }
-
-        position.z = Math.max(overallBounds.MIN_Z, Math.min(overallBounds.MAX_Z, position.z));
     }
 
-    checkCollisionWithObject() {
-        const object = this.geometryManager.getObjects().object;
-        if (object.BBox.intersects(this.camera.BBox)) {
-            return true;
-        }
-        return false;
-    }
+    /**
+     * Freies Fliegen in Blickrichtung, Springen/Ducken steigt bzw. sinkt
+     */
+    updateFlyMovement(deltaTime) {
+        const wish = new THREE.Vector3();
+        if (this.keys.forward) wish.z -= 1;
+        if (this.keys.backward) wish.z += 1;
+        if (this.keys.left) wish.x -= 1;
+        if (this.keys.right) wish.x += 1;
+        if (this.keys.jump) wish.y += 1;
+        if (this.keys.crouch) wish.y -= 1;
+        wish.normalize();
+
+        wish.x += this.analogMove.x;
+        wish.z += this.analogMove.y;
+        if (wish.lengthSq() > 1) wish.normalize();
 
-    update(deltaTime) {
-        this.updateMovement(deltaTime);
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        const right = new THREE.Vector3().crossVectors(direction, this.camera.up).normalize();
+
+        this.velocity.set(0, 0, 0)
+            .addScaledVector(direction, -wish.z)
+            .addScaledVector(right, wish.x)
+            .addScaledVector(this.camera.up, wish.y)
+            .multiplyScalar(this.flyState.speed);
+
+        this.controls.getObject().position.addScaledVector(this.velocity, deltaTime);
     }
 
     getCamera() {
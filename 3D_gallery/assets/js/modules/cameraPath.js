@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Kamerafahrt aus Keyframes (Position, Blickziel, FOV, Dauer, Easing)
+ *
+ * Positionen und Blickziele werden als Catmull-Rom-Splines interpoliert. Ein Keyframe
+ * kann statt Position/Blickziel ein Kunstwerk referenzieren ("artwork"); dann wird
+ * dessen Betrachterstandpunkt genutzt. "pause" hält die Kamera dort an.
+ *
+ * duration ist die Fahrzeit vom vorherigen Keyframe (beim ersten Keyframe einer
+ * Schleife die Rückfahrt vom letzten).
+ */
+
+class CameraPathError extends Error {
+    constructor(message) {
+        super(`Invalid camera path: ${message}`);
+        this.name = 'CameraPathError';
+    }
+}
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+const DEFAULT_DURATION = 4;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readVector(value, description) {
+    if (!isPlainObject(value) || !['x', 'y', 'z'].every((axis) => Number.isFinite(value[axis]))) {
+        throw new CameraPathError(`${description} must be an object with numeric x, y and z`);
+    }
+    return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+function readNonNegative(value, fallback, description) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new CameraPathError(`${description} must be a number >= 0`);
+    }
+    return value;
+}
+
+function readPositive(value, fallback, description) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new CameraPathError(`${description} must be a number > 0`);
+    }
+    return value;
+}
+
+export class CameraPath {
+    constructor(data, exhibition) {
+        if (!isPlainObject(data) || typeof data.id !== 'string' || !data.id.trim()) {
+            throw new CameraPathError('path must be an object with an id');
+        }
+        if (!Array.isArray(data.keyframes) || data.keyframes.length < 2) {
+            throw new CameraPathError(`path "${data.id}" needs at least two keyframes`);
+        }
+
+        this.id = data.id.trim();
+        this.title = typeof data.title === 'string' ? data.title : this.id;
+        this.loop = data.loop !== false;
+        this.keyframes = data.keyframes.map((keyframe, index) => this.normalizeKeyframe(keyframe, index, exhibition));
+
+        // Beim ersten Keyframe ohne Schleife gibt es keine Anfahrt
+        if (!this.loop) this.keyframes[0].duration = 0;
+
+        const curveType = 'centripetal';
+        this.positionCurve = new THREE.CatmullRomCurve3(this.keyframes.map((k) => k.position), this.loop, curveType);
+        this.targetCurve = new THREE.CatmullRomCurve3(this.keyframes.map((k) => k.target), this.loop, curveType);
+        this.segmentCount = this.loop ? this.keyframes.length : this.keyframes.length - 1;
+
+        this.buildTimeline();
+    }
+
+    normalizeKeyframe(keyframe, index, exhibition) {
+        const description = `path "${this.id}" keyframes[${index}]`;
+        if (!isPlainObject(keyframe)) {
+            throw new CameraPathError(`${description} must be an object`);
+        }
+
+        let position;
+        let target;
+        if (keyframe.artwork !== undefined) {
+            const artwork = exhibition && exhibition.getArtwork(keyframe.artwork);
+            if (!artwork) {
+                throw new CameraPathError(`${description} references unknown artwork "${keyframe.artwork}"`);
+            }
+            position = keyframe.position ? readVector(keyframe.position, `${description}.position`) : new THREE.Vector3().copy(artwork.viewpoint.position);
+            target = new THREE.Vector3().copy(artwork.viewpoint.target);
+        } else {
+            position = readVector(keyframe.position, `${description}.position`);
+            target = readVector(keyframe.target, `${description}.target`);
+        }
+
+        const easing = keyframe.easing === undefined ? 'easeInOut' : keyframe.easing;
+        if (!EASINGS[easing]) {
+            throw new CameraPathError(`${description}.easing must be one of ${Object.keys(EASINGS).join(', ')}`);
+        }
+
+        return {
+            position,
+            target,
+            fov: readPositive(keyframe.fov, GALLERY_CONFIG.CAMERA.FOV, `${description}.fov`),
+            duration: readNonNegative(keyframe.duration, DEFAULT_DURATION, `${description}.duration`),
+            pause: readNonNegative(keyframe.pause, 0, `${description}.pause`),
+            easing,
+            artwork: keyframe.artwork || null
+        };
+    }
+
+    /**
+     * Zeitleiste aus Halte- und Fahrphasen aufbauen
+     */
+    buildTimeline() {
+        this.phases = [];
+        let time = 0;
+
+        const addPhase = (phase) => {
+            if (phase.length <= 0) return;
+            this.phases.push({ ...phase, start: time });
+            time += phase.length;
+        };
+
+        this.keyframes.forEach((keyframe, index) => {
+            if (index > 0) {
+                addPhase({ type: 'move', from: index - 1, to: index, length: keyframe.duration });
+            }
+            addPhase({ type: 'hold', index, length: keyframe.pause });
+        });
+
+        if (this.loop) {
+            const last = this.keyframes.length - 1;
+            addPhase({ type: 'move', from: last, to: 0, length: this.keyframes[0].duration });
+        }
+
+        this.totalDuration = time;
+    }
+
+    getDuration() {
+        return this.totalDuration;
+    }
+
+    isFinished(time) {
+        return !this.loop && time >= this.totalDuration;
+    }
+
+    /**
+     * Pose zum Zeitpunkt time (Sekunden) in out schreiben
+     *
+     * @param {{position: THREE.Vector3, target: THREE.Vector3, fov: number, artwork: string|null}} out
+     */
+    sample(time, out) {
+        if (this.totalDuration <= 0) {
+            return this.sampleKeyframe(0, out);
+        }
+
+        const t = this.loop ? time % this.totalDuration : Math.min(time, this.totalDuration);
+        const phase = this.phases.find((candidate) => t < candidate.start + candidate.length) || this.phases[this.phases.length - 1];
+
+        if (phase.type === 'hold') {
+            return this.sampleKeyframe(phase.index, out);
+        }
+
+        const from = this.keyframes[phase.from];
+        const to = this.keyframes[phase.to];
+        const progress = EASINGS[to.easing](Math.min(1, (t - phase.start) / phase.length));
+
+        // Abschnitt from -> to auf dem Spline (die Rückfahrt ist der letzte Abschnitt)
+        const u = (phase.from + progress) / this.segmentCount;
+        this.positionCurve.getPoint(u, out.position);
+        this.targetCurve.getPoint(u, out.target);
+        out.fov = THREE.MathUtils.lerp(from.fov, to.fov, progress);
+        out.artwork = null;
+        return out;
+    }
+
+    sampleKeyframe(index, out) {
+        const keyframe = this.keyframes[index];
+        out.position.copy(keyframe.position);
+        out.target.copy(keyframe.target);
+        out.fov = keyframe.fov;
+        out.artwork = keyframe.artwork;
+        return out;
+    }
+}
+
+/**
+ * Alle Kamerafahrten aus der JSON-Datei laden (nur im Browser)
+ */
+export async function loadCameraPaths(exhibition, url = GALLERY_CONFIG.CAMERA_PATHS.FILE) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load camera paths from ${url} (${response.status})`);
+    }
+
+    const data = await response.json();
+    if (!isPlainObject(data) || !Array.isArray(data.paths)) {
+        throw new CameraPathError('file must be an object with a paths array');
+    }
+    return data.paths.map((path) => new CameraPath(path, exhibition));
+}
+
+export default CameraPath;
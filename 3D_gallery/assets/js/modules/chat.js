@@ -0,0 +1,127 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Chat-Overlay: Eingabefeld und Nachrichtenverlauf über der 3D-Ansicht
+ */
+export class ChatManager {
+    constructor(multiplayerManager, cameraManager, inputManager) {
+        this.multiplayer = multiplayerManager;
+        this.camera = cameraManager;
+        this.inputManager = inputManager;
+        this.isOpen = false;
+
+        this.container = document.getElementById('chat');
+        this.log = document.getElementById('chat-log');
+        this.input = document.getElementById('chat-input');
+
+        if (!this.container || !this.log || !this.input) {
+            console.warn('ChatManager: chat overlay elements missing in gallery.html');
+            return;
+        }
+
+        this.input.maxLength = GALLERY_CONFIG.MULTIPLAYER.CHAT_MAX_LENGTH;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.inputManager.onAction((action, pressed) => {
+            if (pressed && action === 'CHAT' && !this.isOpen) {
+                this.open();
+            }
+        });
+
+        // Tastatureingaben im Chat nicht an Kamera- und Galerie-Steuerung weitergeben
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+
+            if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+                event.preventDefault();
+                this.send();
+            } else if (event.code === 'Escape') {
+                event.preventDefault();
+                this.close();
+            }
+        });
+        this.input.addEventListener('keyup', (event) => event.stopPropagation());
+
+        // Klick in die Szene: Chat schließen, Mauszeiger sperrt die Kamera-Steuerung selbst
+        this.input.addEventListener('blur', () => {
+            if (this.isOpen) this.close(false);
+        });
+
+        // Klicks in den Chat sollen den Mauszeiger nicht sperren
+        this.container.addEventListener('mousedown', (event) => event.stopPropagation());
+    }
+
+    /**
+     * Chat öffnen: Mauszeiger freigeben und Eingabefeld fokussieren
+     */
+    open() {
+        this.isOpen = true;
+        this.camera.releaseKeys();
+        this.camera.unlockPointer();
+
+        this.container.classList.add('open');
+        this.input.classList.remove('hidden');
+        this.input.focus();
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    /**
+     * Chat schließen und Steuerung zurückgeben
+     */
+    close(relockPointer = true) {
+        this.isOpen = false;
+        this.input.value = '';
+        this.input.blur();
+        this.input.classList.add('hidden');
+        this.container.classList.remove('open');
+
+        if (relockPointer) {
+            this.camera.lockPointer();
+        }
+    }
+
+    send() {
+        const message = this.input.value.trim();
+        if (message) {
+            this.multiplayer.sendChatMessage(message);
+        }
+        this.close();
+    }
+
+    /**
+     * Nachricht in den Verlauf aufnehmen (Name in Kleidungsfarbe des Absenders)
+     */
+    addMessage(playerName, message, color) {
+        if (!this.log) return;
+
+        const entry = document.createElement('div');
+        entry.className = 'chat-message';
+
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.textContent = `${playerName}: `;
+        name.style.color = `#${color.toString(16).padStart(6, '0')}`;
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        entry.append(name, text);
+        this.log.appendChild(entry);
+
+        // Verlauf begrenzen
+        while (this.log.children.length > GALLERY_CONFIG.CHAT.MAX_MESSAGES) {
+            this.log.removeChild(this.log.firstChild);
+        }
+
+        this.log.scrollTop = this.log.scrollHeight;
+
+        // Nach einer Weile ausblenden (im geöffneten Chat bleibt der Verlauf sichtbar)
+        setTimeout(() => entry.classList.add('faded'), GALLERY_CONFIG.CHAT.FADE_DELAY);
+    }
+
+    isChatOpen() {
+        return this.isOpen;
+    }
+}
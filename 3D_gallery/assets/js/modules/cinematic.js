@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+import { loadCameraPaths } from './cameraPath.js';
+
+/**
+ * Geführte Kamerafahrten (Demo-Schleife für Tage der offenen Tür) und Keyframe-Rekorder
+ *
+ * Während einer Fahrt übernimmt der Manager die Kamera von PointerLockControls.
+ * Jede Eingabe beendet die Fahrt; ohne Eingabe startet die Standardfahrt nach
+ * CAMERA_PATHS.IDLE_TIMEOUT Sekunden von selbst.
+ */
+export class CinematicManager {
+    constructor(cameraManager, inputManager) {
+        this.camera = cameraManager;
+        this.input = inputManager;
+
+        this.paths = new Map();
+        this.exhibition = null;
+        this.activePath = null;
+        this.time = 0;
+        this.pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: GALLERY_CONFIG.CAMERA.FOV, artwork: null };
+
+        this.recording = [];
+        this.lastInputTime = performance.now();
+        this.status = document.getElementById('tour-status');
+        this.statusTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Kamerafahrten laden (ohne Datei bleibt die Galerie voll nutzbar)
+     */
+    async load(exhibition) {
+        this.exhibition = exhibition;
+        try {
+            for (const path of await loadCameraPaths(exhibition)) {
+                this.paths.set(path.id, path);
+            }
+            console.log(`Loaded ${this.paths.size} camera path(s)`);
+        } catch (error) {
+            console.warn('Camera paths unavailable:', error.message);
+        }
+    }
+
+    setupEventListeners() {
+        this.input.onAction((action, pressed) => {
+            this.registerInput();
+            if (!pressed) return;
+
+            if (action === 'TOUR') {
+                if (this.isPlaying()) {
+                    this.stop();
+                } else {
+                    this.play();
+                }
+            } else if (action === 'RECORD_KEYFRAME') {
+                this.recordKeyframe();
+            } else if (this.isPlaying()) {
+                this.stop();
+            }
+        });
+
+        // Maus, Touch und Mausrad unterbrechen die Fahrt ebenfalls
+        for (const type of ['mousedown', 'pointerdown', 'wheel']) {
+            window.addEventListener(type, () => {
+                this.registerInput();
+                if (this.isPlaying()) this.stop();
+            }, { passive: true });
+        }
+        window.addEventListener('mousemove', () => this.registerInput(), { passive: true });
+
+        // Gamepad-Sticks und Touch-Joystick laufen nicht über Aktionen
+        this.camera.onAnalogInput(() => {
+            this.registerInput();
+            if (this.isPlaying()) this.stop();
+        });
+    }
+
+    registerInput() {
+        this.lastInputTime = performance.now();
+    }
+
+    getPaths() {
+        return Array.from(this.paths.values());
+    }
+
+    play(pathId = GALLERY_CONFIG.CAMERA_PATHS.DEFAULT) {
+        const path = this.paths.get(pathId);
+        if (!path) {
+            console.warn(`Unknown camera path "${pathId}"`);
+            return;
+        }
+
+        this.activePath = path;
+        this.time = 0;
+        this.camera.setCinematicMode(true);
+        this.showStatus(`Tour „${path.title}“ – beliebige Taste beendet die Fahrt`);
+
+        console.log(`Camera path "${path.id}" started`);
+    }
+
+    stop() {
+        if (!this.activePath) return;
+
+        console.log(`Camera path "${this.activePath.id}" stopped`);
+        this.activePath = null;
+        this.camera.setCinematicMode(false);
+        this.hideStatus();
+    }
+
+    isPlaying() {
+        return this.activePath !== null;
+    }
+
+    /**
+     * Kunstwerk, an dem die Fahrt gerade pausiert, sonst null
+     */
+    getPausedArtwork() {
+        if (!this.activePath || !this.pose.artwork || !this.exhibition) return null;
+        return this.exhibition.getArtwork(this.pose.artwork);
+    }
+
+    /**
+     * Fahrt fortsetzen oder nach längerer Inaktivität die Standardfahrt starten
+     *
+     * @param {boolean} canAutoStart false, solange ein Overlay offen ist
+     */
+    update(deltaTime, canAutoStart = true) {
+        if (!this.activePath) {
+            const idleTimeout = GALLERY_CONFIG.CAMERA_PATHS.IDLE_TIMEOUT;
+            if (canAutoStart && idleTimeout > 0 && performance.now() - this.lastInputTime > idleTimeout * 1000) {
+                this.play();
+                // Bei fehlender Fahrt nicht jeden Frame erneut versuchen
+                this.registerInput();
+            }
+            return;
+        }
+
+        this.time += deltaTime;
+        this.activePath.sample(this.time, this.pose);
+        this.camera.applyCinematicPose(this.pose.position, this.pose.target, this.pose.fov);
+
+        if (this.activePath.isFinished(this.time)) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Aktuelle Kamerapose als Keyframe aufnehmen und die ganze Aufnahme als
+     * Pfad-JSON in die Zwischenablage kopieren
+     */
+    recordKeyframe() {
+        const { RECORD_DURATION, RECORD_TARGET_DISTANCE } = GALLERY_CONFIG.CAMERA_PATHS;
+        const position = this.camera.getPosition();
+        const target = position.clone().addScaledVector(this.camera.getWorldDirection(), RECORD_TARGET_DISTANCE);
+        const round = (vector) => ({
+            x: Math.round(vector.x * 100) / 100,
+            y: Math.round(vector.y * 100) / 100,
+            z: Math.round(vector.z * 100) / 100
+        });
+
+        this.recording.push({
+            position: round(position),
+            target: round(target),
+            fov: this.camera.getCamera().fov,
+            duration: RECORD_DURATION,
+            easing: 'easeInOut'
+        });
+
+        const json = JSON.stringify({ id: 'recording', title: 'Aufnahme', loop: true, keyframes: this.recording }, null, 2);
+        console.log(`Recorded keyframe ${this.recording.length}:\n${json}`);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch((error) => console.warn('Clipboard unavailable:', error.message));
+        }
+        this.showStatus(`Keyframe ${this.recording.length} aufgenommen (Pfad-JSON in der Zwischenablage)`, 2500);
+    }
+
+    showStatus(message, duration = 0) {
+        if (!this.status) return;
+
+        clearTimeout(this.statusTimer);
+        this.status.textContent = message;
+        this.status.classList.remove('hidden');
+
+        if (duration > 0) {
+            this.statusTimer = setTimeout(() => this.hideStatus(), duration);
+        }
+    }
+
+    hideStatus() {
+        if (!this.status) return;
+
+        clearTimeout(this.statusTimer);
+        this.status.classList.add('hidden');
+    }
+}
+
+export default CinematicManager;
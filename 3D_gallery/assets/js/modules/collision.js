@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+/**
+ * Kollisions-Verwaltung für den First-Person-Spieler
+ *
+ * Hält ein Register aller Hindernisse (Wände, Podeste, Spieler, aufhebbare Objekte).
+ * Der Spieler ist eine senkrechte Kapsel, die aus Überschneidungen herausgeschoben
+ * wird und dadurch an Hindernissen entlanggleitet statt stehen zu bleiben.
+ */
+
+// Anzahl der Auflösungsdurchgänge (Ecken brauchen mehr als einen)
+const RESOLVE_ITERATIONS = 3;
+
+export class CollisionManager {
+    constructor() {
+        this.colliders = new Map();
+    }
+
+    /**
+     * Hindernis registrieren
+     *
+     * shape 'box': nutzt object.BBox (vom Besitzer aktuell gehalten) oder berechnet
+     * einmalig eine Box. shape 'cylinder': senkrechter Zylinder um object.position
+     * (für Personen, deren Box durch Animationen und Namenslabel schwankt).
+     */
+    addCollider(object, { shape = 'box', radius = 0.35, height = 2 } = {}) {
+        if (shape === 'box' && !object.BBox) {
+            object.updateWorldMatrix(true, true);
+            object.BBox = new THREE.Box3().setFromObject(object);
+        }
+
+        this.colliders.set(object, { object, shape, radius, height });
+    }
+
+    removeCollider(object) {
+        this.colliders.delete(object);
+    }
+
+    getColliderCount() {
+        return this.colliders.size;
+    }
+
+    getColliders() {
+        return this.colliders.values();
+    }
+
+    /**
+     * Spielerkapsel aus allen Hindernissen herausschieben (nur x/z, y bleibt unverändert)
+     *
+     * @param {THREE.Vector3} position Mittelpunkt der Kapsel in x/z (wird verändert)
+     * @param {number} radius Kapselradius
+     * @param {number} bottom Unterkante (Füße) in Weltkoordinaten
+     * @param {number} top Oberkante (Kopf) in Weltkoordinaten
+     * @returns {boolean} true wenn eine Kollision aufgelöst wurde
+     */
+    resolveCapsule(position, radius, bottom, top) {
+        let collided = false;
+
+        for (let iteration = 0; iteration < RESOLVE_ITERATIONS; iteration++) {
+            let pushed = false;
+
+            for (const collider of this.colliders.values()) {
+                // Gehaltene Objekte schweben vor der Kamera und dürfen nicht schieben
+                if (collider.object.userData.isHeld) continue;
+
+                const resolved = collider.shape === 'cylinder'
+                    ? this.resolveCylinder(collider, position, radius, bottom, top)
+                    : this.resolveBox(collider.object.BBox, position, radius, bottom, top);
+
+                pushed = pushed || resolved;
+            }
+
+            if (!pushed) break;
+            collided = true;
+        }
+
+        return collided;
+    }
+
+    resolveBox(box, position, radius, bottom, top) {
+        if (box.min.y >= top || box.max.y <= bottom) return false;
+
+        // Nächster Punkt der Box zur Kapselachse
+        const closestX = Math.max(box.min.x, Math.min(box.max.x, position.x));
+        const closestZ = Math.max(box.min.z, Math.min(box.max.z, position.z));
+        const dx = position.x - closestX;
+        const dz = position.z - closestZ;
+        const distanceSq = dx * dx + dz * dz;
+
+        if (distanceSq >= radius * radius) return false;
+
+        if (distanceSq > 1e-8) {
+            // Entlang der Kontaktnormale hinausschieben (Bewegung parallel zur Fläche bleibt erhalten)
+            const distance = Math.sqrt(distanceSq);
+            const push = (radius - distance) / distance;
+            position.x += dx * push;
+            position.z += dz * push;
+            return true;
+        }
+
+        // Achse liegt in der Box: über die Seite mit der geringsten Eindringtiefe hinaus
+        const exits = [
+            { axis: 'x', amount: box.min.x - radius - position.x },
+            { axis: 'x', amount: box.max.x + radius - position.x },
+            { axis: 'z', amount: box.min.z - radius - position.z },
+            { axis: 'z', amount: box.max.z + radius - position.z }
+        ];
+        const exit = exits.reduce((best, candidate) => Math.abs(candidate.amount) < Math.abs(best.amount) ? candidate : best);
+        position[exit.axis] += exit.amount;
+        return true;
+    }
+
+    resolveCylinder(collider, position, radius, bottom, top) {
+        const center = collider.object.position;
+        if (center.y >= top || center.y + collider.height <= bottom) return false;
+
+        const dx = position.x - center.x;
+        const dz = position.z - center.z;
+        const minDistance = radius + collider.radius;
+        const distanceSq = dx * dx + dz * dz;
+
+        if (distanceSq >= minDistance * minDistance) return false;
+
+        if (distanceSq > 1e-8) {
+            const distance = Math.sqrt(distanceSq);
+            const push = (minDistance - distance) / distance;
+            position.x += dx * push;
+            position.z += dz * push;
+        } else {
+            position.x += minDistance;
+        }
+        return true;
+    }
+}
+
+export default CollisionManager;
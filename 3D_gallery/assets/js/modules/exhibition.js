@@ -0,0 +1,163 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+import { getWallPoint, getWallSpan, getWallDepth, WALL_ROTATIONS } from './galleryLayout.js';
+
+/**
+ * Ausstellungs-Manifest: Kunstwerke mit Metadaten und Platz an einer Wand des Layouts
+ *
+ * Aus Wandreferenz und Offset werden Bildposition und Spotlight berechnet.
+ * Das Modul kommt ohne Three.js aus, damit der Server Manifeste prüfen kann.
+ */
+
+class ExhibitionError extends Error {
+    constructor(message) {
+        super(`Invalid exhibition manifest: ${message}`);
+        this.name = 'ExhibitionError';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readString(value, description, required = true) {
+    if (value === undefined && !required) return '';
+    if (typeof value !== 'string' || (required && !value.trim())) {
+        throw new ExhibitionError(`${description} must be a non-empty string`);
+    }
+    return value.trim();
+}
+
+function readNumber(value, fallback, description) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ExhibitionError(`${description} must be a finite number`);
+    }
+    return value;
+}
+
+function readSize(value, description) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new ExhibitionError(`${description} must be a number greater than 0`);
+    }
+    return value;
+}
+
+/**
+ * Ausstellung mit allen Kunstwerken, aufgelöst gegen das Galerie-Layout
+ */
+export class Exhibition {
+    constructor(data, layout) {
+        if (!isPlainObject(data) || !Array.isArray(data.artworks)) {
+            throw new ExhibitionError('manifest must be an object with an artworks array');
+        }
+
+        this.id = readString(data.id, 'id');
+        this.title = readString(data.title, 'title', false);
+
+        const ids = new Set();
+        this.artworks = data.artworks.map((artwork, index) => {
+            const normalized = this.normalizeArtwork(artwork, index, layout);
+            if (ids.has(normalized.id)) {
+                throw new ExhibitionError(`duplicate artwork id "${normalized.id}"`);
+            }
+            ids.add(normalized.id);
+            return normalized;
+        });
+    }
+
+    /**
+     * Manifest vom Server laden (nur im Browser)
+     */
+    static async load(id, layout) {
+        const url = `${GALLERY_CONFIG.EXHIBITION.ENDPOINT}/${encodeURIComponent(id)}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load exhibition "${id}" from ${url} (${response.status})`);
+        }
+        return new Exhibition(await response.json(), layout);
+    }
+
+    normalizeArtwork(artwork, index, layout) {
+        if (!isPlainObject(artwork)) {
+            throw new ExhibitionError(`artworks[${index}] must be an object`);
+        }
+
+        const id = readString(artwork.id, `artworks[${index}].id`);
+        const description = `artwork "${id}"`;
+
+        const area = layout.getArea(artwork.area);
+        if (!area) {
+            throw new ExhibitionError(`${description} references unknown area "${artwork.area}"`);
+        }
+        if (!area.walls.includes(artwork.wall)) {
+            throw new ExhibitionError(`${description}.wall must be one of ${area.walls.join(', ')}`);
+        }
+
+        const width = readSize(artwork.width, `${description}.width`);
+        const height = readSize(artwork.height, `${description}.height`);
+        const offset = readNumber(artwork.offset, 0, `${description}.offset`);
+        const elevation = readNumber(artwork.elevation, area.height / 2, `${description}.elevation`);
+
+        const span = getWallSpan(area, artwork.wall);
+        if (Math.abs(offset) + width / 2 > span.length / 2 || elevation + height / 2 > area.height) {
+            throw new ExhibitionError(`${description} does not fit on the ${artwork.wall} wall of "${area.id}"`);
+        }
+
+        const { WALL_OFFSET, SPOTLIGHT_DISTANCE, VIEW_DISTANCE } = GALLERY_CONFIG.EXHIBITION;
+        const position = getWallPoint(area, artwork.wall, offset, WALL_OFFSET);
+        const halfDepth = getWallDepth(area, artwork.wall) / 2;
+
+        // Spotlight unter der Decke vor dem Bild, in schmalen Bereichen höchstens bis zur Mitte
+        const spotlightDistance = Math.min(SPOTLIGHT_DISTANCE, halfDepth);
+        const spotlightPosition = getWallPoint(area, artwork.wall, offset, spotlightDistance);
+
+        // Betrachterstandpunkt in Augenhöhe vor dem Bild (Kamerafahrten, Navigation)
+        const viewPosition = getWallPoint(area, artwork.wall, offset, Math.min(VIEW_DISTANCE, halfDepth));
+
+        const image = readString(artwork.image, `${description}.image`);
+
+        return {
+            id,
+            // Dateiname ohne Endung (z. B. "vanGogh2"), damit ältere Deep Links weiter funktionieren
+            alias: image.split('/').pop().replace(/\.[^.]+$/, ''),
+            image,
+            // Optional größere Bilddatei für die Vollbildansicht
+            highResImage: readString(artwork.highResImage, `${description}.highResImage`, false) || artwork.image.trim(),
+            title: readString(artwork.title, `${description}.title`),
+            artist: readString(artwork.artist, `${description}.artist`, false),
+            year: artwork.year === undefined ? null : readNumber(artwork.year, null, `${description}.year`),
+            description: readString(artwork.description, `${description}.description`, false),
+            width,
+            height,
+            area: area.id,
+            wall: artwork.wall,
+            offset,
+            elevation,
+            position: { x: position.x, y: elevation, z: position.z },
+            rotationY: WALL_ROTATIONS[artwork.wall],
+            viewpoint: {
+                position: { x: viewPosition.x, y: GALLERY_CONFIG.CAMERA.GROUND_LEVEL, z: viewPosition.z },
+                target: { x: position.x, y: elevation, z: position.z }
+            },
+            spotlight: artwork.spotlight === false ? null : {
+                position: { x: spotlightPosition.x, y: area.height - 0.5, z: spotlightPosition.z },
+                target: { x: position.x, y: elevation, z: position.z }
+            }
+        };
+    }
+
+    getArtworks() {
+        return this.artworks;
+    }
+
+    /**
+     * Kunstwerk über seine ID finden, ersatzweise über den Bilddateinamen
+     */
+    getArtwork(id) {
+        return this.artworks.find((artwork) => artwork.id === id)
+            || this.artworks.find((artwork) => artwork.alias === id)
+            || null;
+    }
+}
+
+export default Exhibition;
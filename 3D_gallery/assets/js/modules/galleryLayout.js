@@ -0,0 +1,398 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Deklaratives Galerie-Layout (Räume, Korridore, Durchgänge, Beleuchtung)
+ *
+ * Das Layout wird beim Start aus einer JSON-Datei geladen. Geometrie, begehbare
+ * Bereiche, Beleuchtung und die serverseitigen Positionsgrenzen werden daraus erzeugt.
+ * Das Modul kommt ohne Three.js aus, damit der Server es ebenfalls nutzen kann.
+ */
+
+// Wände eines Bereichs: back/front liegen entlang der x-Achse, left/right entlang der z-Achse
+export const WALLS = ['back', 'front', 'left', 'right'];
+
+// Rotation von Flächen an der Wand, damit sie jeweils in den Bereich hinein zeigen
+export const WALL_ROTATIONS = {
+    back: 0,
+    front: Math.PI,
+    left: Math.PI / 2,
+    right: -Math.PI / 2
+};
+
+// Richtung von der Wand in den Bereich hinein
+const WALL_NORMALS = {
+    back: { x: 0, z: 1 },
+    front: { x: 0, z: -1 },
+    left: { x: 1, z: 0 },
+    right: { x: -1, z: 0 }
+};
+
+class LayoutError extends Error {
+    constructor(message) {
+        super(`Invalid gallery layout: ${message}`);
+        this.name = 'LayoutError';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(value, fallback, description) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new LayoutError(`${description} must be a finite number`);
+    }
+    return value;
+}
+
+function readPositive(value, fallback, description) {
+    const number = readNumber(value, fallback, description);
+    if (number <= 0) {
+        throw new LayoutError(`${description} must be greater than 0`);
+    }
+    return number;
+}
+
+function readPoint(value, description) {
+    if (!isPlainObject(value)) {
+        throw new LayoutError(`${description} must be an object with x and z`);
+    }
+    return {
+        x: readNumber(value.x, undefined, `${description}.x`),
+        z: readNumber(value.z, undefined, `${description}.z`)
+    };
+}
+
+function readList(value, description) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        throw new LayoutError(`${description} must be an array`);
+    }
+    return value;
+}
+
+/**
+ * Ausdehnung einer Wand: Achse entlang der Wand, feste Koordinate und Länge
+ */
+export function getWallSpan(area, wall) {
+    const { center, width, depth } = area;
+
+    switch (wall) {
+        case 'back':
+            return { axis: 'x', fixed: center.z - depth / 2, center: center.x, length: width };
+        case 'front':
+            return { axis: 'x', fixed: center.z + depth / 2, center: center.x, length: width };
+        case 'left':
+            return { axis: 'z', fixed: center.x - width / 2, center: center.z, length: depth };
+        case 'right':
+            return { axis: 'z', fixed: center.x + width / 2, center: center.z, length: depth };
+        default:
+            throw new LayoutError(`unknown wall "${wall}"`);
+    }
+}
+
+/**
+ * Punkt vor einer Wand: offset entlang der Wand (ab Wandmitte), distance in den Bereich hinein
+ */
+export function getWallPoint(area, wall, offset = 0, distance = 0) {
+    const span = getWallSpan(area, wall);
+    const normal = WALL_NORMALS[wall];
+    const along = span.center + offset;
+
+    return span.axis === 'x'
+        ? { x: along + normal.x * distance, z: span.fixed + normal.z * distance }
+        : { x: span.fixed + normal.x * distance, z: along + normal.z * distance };
+}
+
+/**
+ * Abstand zwischen einer Wand und der gegenüberliegenden Wand
+ */
+export function getWallDepth(area, wall) {
+    return getWallSpan(area, wall).axis === 'x' ? area.depth : area.width;
+}
+
+/**
+ * Wandsegmente zwischen den Durchgängen einer Wand berechnen
+ *
+ * Segmente reichen entlang der Wand von start bis end (Weltkoordinaten) und
+ * vertikal von bottom bis top. Über jedem Durchgang bleibt ein Sturz stehen.
+ */
+export function getWallSegments(area, wall) {
+    const span = getWallSpan(area, wall);
+    const wallStart = span.center - span.length / 2;
+    const wallEnd = span.center + span.length / 2;
+
+    const doorways = area.doorways
+        .filter((doorway) => doorway.wall === wall)
+        .map((doorway) => ({
+            start: span.center + doorway.offset - doorway.width / 2,
+            end: span.center + doorway.offset + doorway.width / 2,
+            height: doorway.height
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    const segments = [];
+    let cursor = wallStart;
+
+    for (const doorway of doorways) {
+        if (doorway.start > cursor) {
+            segments.push({ start: cursor, end: doorway.start, bottom: 0, top: area.height });
+        }
+        if (doorway.height < area.height) {
+            segments.push({ start: doorway.start, end: doorway.end, bottom: doorway.height, top: area.height });
+        }
+        cursor = doorway.end;
+    }
+
+    if (cursor < wallEnd) {
+        segments.push({ start: cursor, end: wallEnd, bottom: 0, top: area.height });
+    }
+
+    return segments;
+}
+
+/**
+ * Anzeigename eines Bereichs (Navigation), ohne Angabe die id
+ */
+function readName(value, fallback) {
+    return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+/**
+ * Galerie-Layout mit normalisierten Räumen und Korridoren
+ */
+export class GalleryLayout {
+    constructor(data) {
+        if (!isPlainObject(data)) {
+            throw new LayoutError('layout must be an object');
+        }
+
+        this.exhibition = typeof data.exhibition === 'string' ? data.exhibition : GALLERY_CONFIG.EXHIBITION.DEFAULT;
+        this.rooms = readList(data.rooms, 'rooms').map((room, index) => this.normalizeRoom(room, index));
+        this.corridors = readList(data.corridors, 'corridors').map((corridor, index) => this.normalizeCorridor(corridor, index));
+
+        if (this.rooms.length === 0) {
+            throw new LayoutError('at least one room is required');
+        }
+
+        const ids = new Set();
+        for (const area of this.getAreas()) {
+            if (ids.has(area.id)) {
+                throw new LayoutError(`duplicate id "${area.id}"`);
+            }
+            ids.add(area.id);
+        }
+    }
+
+    /**
+     * Layout-Datei laden (nur im Browser)
+     */
+    static async load(url = GALLERY_CONFIG.LAYOUT.FILE) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load gallery layout from ${url} (${response.status})`);
+        }
+        return new GalleryLayout(await response.json());
+    }
+
+    normalizeRoom(room, index) {
+        const description = `rooms[${index}]`;
+        if (!isPlainObject(room) || typeof room.id !== 'string' || !room.id) {
+            throw new LayoutError(`${description} needs a string id`);
+        }
+
+        const area = {
+            id: room.id,
+            name: readName(room.name, room.id),
+            type: 'room',
+            center: readPoint(room.center, `room "${room.id}".center`),
+            width: readPositive(room.width, GALLERY_CONFIG.ROOM.WIDTH, `room "${room.id}".width`),
+            depth: readPositive(room.depth, GALLERY_CONFIG.ROOM.DEPTH, `room "${room.id}".depth`),
+            height: readPositive(room.height, GALLERY_CONFIG.ROOM.WALL_HEIGHT, `room "${room.id}".height`),
+            walls: WALLS,
+            lights: readList(room.lights, `room "${room.id}".lights`)
+        };
+        area.doorways = this.normalizeDoorways(area, room.doorways);
+
+        return area;
+    }
+
+    /**
+     * Korridore verlaufen achsparallel von "from" nach "to"; die Enden bleiben offen
+     */
+    normalizeCorridor(corridor, index) {
+        const description = `corridors[${index}]`;
+        if (!isPlainObject(corridor) || typeof corridor.id !== 'string' || !corridor.id) {
+            throw new LayoutError(`${description} needs a string id`);
+        }
+
+        const name = `corridor "${corridor.id}"`;
+        const from = readPoint(corridor.from, `${name}.from`);
+        const to = readPoint(corridor.to, `${name}.to`);
+        const corridorWidth = readPositive(corridor.width, GALLERY_CONFIG.CORRIDOR.WIDTH, `${name}.width`);
+
+        let axis;
+        if (from.x === to.x && from.z !== to.z) {
+            axis = 'z';
+        } else if (from.z === to.z && from.x !== to.x) {
+            axis = 'x';
+        } else {
+            throw new LayoutError(`${name} must run parallel to the x or z axis`);
+        }
+
+        const length = axis === 'z' ? Math.abs(to.z - from.z) : Math.abs(to.x - from.x);
+
+        const area = {
+            id: corridor.id,
+            name: readName(corridor.name, corridor.id),
+            type: 'corridor',
+            axis,
+            length,
+            center: { x: (from.x + to.x) / 2, z: (from.z + to.z) / 2 },
+            width: axis === 'z' ? corridorWidth : length,
+            depth: axis === 'z' ? length : corridorWidth,
+            height: readPositive(corridor.height, GALLERY_CONFIG.CORRIDOR.WALL_HEIGHT, `${name}.height`),
+            walls: axis === 'z' ? ['left', 'right'] : ['back', 'front'],
+            lights: readList(corridor.lights, `${name}.lights`)
+        };
+        area.doorways = this.normalizeDoorways(area, corridor.doorways);
+
+        return area;
+    }
+
+    normalizeDoorways(area, doorways) {
+        return readList(doorways, `"${area.id}".doorways`).map((doorway, index) => {
+            const description = `"${area.id}".doorways[${index}]`;
+            if (!isPlainObject(doorway) || !area.walls.includes(doorway.wall)) {
+                throw new LayoutError(`${description}.wall must be one of ${area.walls.join(', ')}`);
+            }
+
+            const normalized = {
+                wall: doorway.wall,
+                width: readPositive(doorway.width, GALLERY_CONFIG.DOORWAY.WIDTH, `${description}.width`),
+                height: readPositive(doorway.height, GALLERY_CONFIG.DOORWAY.HEIGHT, `${description}.height`),
+                offset: readNumber(doorway.offset, 0, `${description}.offset`)
+            };
+
+            const span = getWallSpan(area, doorway.wall);
+            if (Math.abs(normalized.offset) + normalized.width / 2 > span.length / 2) {
+                throw new LayoutError(`${description} does not fit into the ${doorway.wall} wall`);
+            }
+            if (normalized.height > area.height) {
+                throw new LayoutError(`${description} is higher than the wall`);
+            }
+
+            return normalized;
+        });
+    }
+
+    /**
+     * Alle Räume und Korridore
+     */
+    getAreas() {
+        return [...this.rooms, ...this.corridors];
+    }
+
+    getRoom(id) {
+        return this.rooms.find((room) => room.id === id) || null;
+    }
+
+    getCorridor(id) {
+        return this.corridors.find((corridor) => corridor.id === id) || null;
+    }
+
+    getArea(id) {
+        return this.getRoom(id) || this.getCorridor(id);
+    }
+
+    /**
+     * Begehbare Rechtecke (um buffer von den Wänden eingerückt)
+     *
+     * Räume und Korridore liefern ihre Innenfläche, jeder Durchgang ein schmales
+     * Rechteck quer durch die Wand, das die angrenzenden Flächen verbindet.
+     */
+    getWalkableAreas(buffer = 0) {
+        const rects = [];
+
+        for (const area of this.getAreas()) {
+            const halfWidth = area.width / 2;
+            const halfDepth = area.depth / 2;
+
+            // Offene Korridorenden werden entlang der Laufrichtung nicht eingerückt
+            const insetX = area.type === 'corridor' && area.axis === 'x' ? 0 : buffer;
+            const insetZ = area.type === 'corridor' && area.axis === 'z' ? 0 : buffer;
+
+            rects.push({
+                minX: area.center.x - halfWidth + insetX,
+                maxX: area.center.x + halfWidth - insetX,
+                minZ: area.center.z - halfDepth + insetZ,
+                maxZ: area.center.z + halfDepth - insetZ
+            });
+
+            for (const doorway of area.doorways) {
+                const span = getWallSpan(area, doorway.wall);
+                const start = span.center + doorway.offset - doorway.width / 2 + buffer;
+                const end = span.center + doorway.offset + doorway.width / 2 - buffer;
+                if (end <= start) continue;
+
+                if (span.axis === 'x') {
+                    rects.push({ minX: start, maxX: end, minZ: span.fixed - buffer, maxZ: span.fixed + buffer });
+                } else {
+                    rects.push({ minX: span.fixed - buffer, maxX: span.fixed + buffer, minZ: start, maxZ: end });
+                }
+            }
+        }
+
+        return rects;
+    }
+
+    /**
+     * Äußere Grenzen aller Bereiche (y von Boden bis zur höchsten Decke)
+     */
+    getBounds() {
+        const bounds = {
+            min: { x: Infinity, y: 0, z: Infinity },
+            max: { x: -Infinity, y: 0, z: -Infinity }
+        };
+
+        for (const area of this.getAreas()) {
+            bounds.min.x = Math.min(bounds.min.x, area.center.x - area.width / 2);
+            bounds.max.x = Math.max(bounds.max.x, area.center.x + area.width / 2);
+            bounds.min.z = Math.min(bounds.min.z, area.center.z - area.depth / 2);
+            bounds.max.z = Math.max(bounds.max.z, area.center.z + area.depth / 2);
+            bounds.max.y = Math.max(bounds.max.y, area.height);
+        }
+
+        return bounds;
+    }
+}
+
+/**
+ * Position (x/z) auf den nächstgelegenen begehbaren Punkt beschränken
+ */
+export function clampToWalkableAreas(rects, position) {
+    let bestX = position.x;
+    let bestZ = position.z;
+    let bestDistance = Infinity;
+
+    for (const rect of rects) {
+        const x = Math.max(rect.minX, Math.min(rect.maxX, position.x));
+        const z = Math.max(rect.minZ, Math.min(rect.maxZ, position.z));
+        const distance = (x - position.x) ** 2 + (z - position.z) ** 2;
+
+        if (distance === 0) return position;
+
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestX = x;
+            bestZ = z;
+        }
+    }
+
+    position.x = bestX;
+    position.z = bestZ;
+    return position;
+}
+
+export default GalleryLayout;
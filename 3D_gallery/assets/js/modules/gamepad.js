@@ -0,0 +1,170 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Gamepad-Steuerung über die Gamepad API
+ *
+ * Linker Stick bewegt (analog), rechter Stick dreht die Kamera, Buttons lösen
+ * Eingabe-Aktionen aus. Die Bewegung läuft über CameraManager, damit Kollision
+ * und Begrenzung unverändert gelten.
+ */
+
+const SETTINGS_STORAGE_KEY = 'gallery-gamepad-settings';
+
+// Achsen im Standard-Mapping
+const AXES = {
+    MOVE_X: 0,
+    MOVE_Y: 1,
+    LOOK_X: 2,
+    LOOK_Y: 3
+};
+
+/**
+ * Radiale Dead-Zone: kleine Ausschläge verwerfen, den Rest auf 0..1 strecken
+ */
+function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < deadZone) return { x: 0, y: 0 };
+
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+export class GamepadManager {
+    constructor(inputManager, cameraManager) {
+        this.input = inputManager;
+        this.camera = cameraManager;
+        this.gamepadIndex = null;
+        this.buttonStates = {};
+        this.settings = this.loadSettings();
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('gamepadconnected', (event) => {
+            if (this.gamepadIndex === null) {
+                this.gamepadIndex = event.gamepad.index;
+                console.log(`Gamepad connected: ${event.gamepad.id}`);
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            if (event.gamepad.index !== this.gamepadIndex) return;
+
+            console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+            this.gamepadIndex = null;
+            this.reset();
+
+            // Auf ein weiteres angeschlossenes Gamepad wechseln
+            const next = this.getConnectedGamepads()[0];
+            if (next) this.gamepadIndex = next.index;
+        });
+    }
+
+    loadSettings() {
+        const settings = {
+            sensitivity: GALLERY_CONFIG.GAMEPAD.LOOK_SENSITIVITY,
+            invertY: GALLERY_CONFIG.GAMEPAD.INVERT_Y
+        };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+            if (typeof stored.sensitivity === 'number' && Number.isFinite(stored.sensitivity)) {
+                settings.sensitivity = this.clampSensitivity(stored.sensitivity);
+            }
+            if (typeof stored.invertY === 'boolean') {
+                settings.invertY = stored.invertY;
+            }
+        } catch (error) {
+            console.warn('Stored gamepad settings are invalid, using defaults');
+        }
+
+        return settings;
+    }
+
+    saveSettings() {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    clampSensitivity(value) {
+        const { MIN_SENSITIVITY, MAX_SENSITIVITY } = GALLERY_CONFIG.GAMEPAD;
+        return Math.min(MAX_SENSITIVITY, Math.max(MIN_SENSITIVITY, value));
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    setSensitivity(value) {
+        this.settings.sensitivity = this.clampSensitivity(value);
+        this.saveSettings();
+    }
+
+    setInvertY(invert) {
+        this.settings.invertY = !!invert;
+        this.saveSettings();
+    }
+
+    getConnectedGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(Boolean);
+    }
+
+    /**
+     * Aktuelles Gamepad (Chrome liefert bei jedem Abruf ein neues Objekt)
+     */
+    getGamepad() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+
+    isConnected() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * Sticks und Buttons abfragen (einmal pro Frame)
+     */
+    update(deltaTime) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+
+        const deadZone = GALLERY_CONFIG.GAMEPAD.DEAD_ZONE;
+
+        const move = applyDeadZone(gamepad.axes[AXES.MOVE_X] || 0, gamepad.axes[AXES.MOVE_Y] || 0, deadZone);
+        this.camera.setAnalogMovement(move.x, move.y);
+
+        const look = applyDeadZone(gamepad.axes[AXES.LOOK_X] || 0, gamepad.axes[AXES.LOOK_Y] || 0, deadZone);
+        if (look.x !== 0 || look.y !== 0) {
+            const speed = this.settings.sensitivity * deltaTime;
+            const pitch = this.settings.invertY ? -look.y : look.y;
+            this.camera.rotateView(look.x * speed, pitch * speed);
+        }
+
+        for (const [index, action] of Object.entries(GALLERY_CONFIG.GAMEPAD.BUTTONS)) {
+            const button = gamepad.buttons[index];
+            const pressed = !!button && button.pressed;
+
+            if (pressed !== !!this.buttonStates[index]) {
+                this.buttonStates[index] = pressed;
+                this.input.setActionState(action, pressed);
+            }
+        }
+    }
+
+    /**
+     * Stick-Bewegung anhalten und Buttons loslassen (z.B. wenn ein Overlay geöffnet wird)
+     */
+    reset() {
+        this.camera.setAnalogMovement(0, 0);
+
+        for (const [index, pressed] of Object.entries(this.buttonStates)) {
+            if (pressed) {
+                this.input.setActionState(GALLERY_CONFIG.GAMEPAD.BUTTONS[index], false);
+            }
+        }
+        this.buttonStates = {};
+    }
+}
+
+export default GamepadManager;
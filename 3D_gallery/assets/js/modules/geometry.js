@@ -5,6 +5,7 @@ import { PersonManager } from './person.js';
 import DragonFractal from './fractal.js';
 import DragonFractalGeometry from './fractalGeometry.js';
 import { createGlowMaterial } from './glowMaterial.js';
+import { getWallSpan, getWallSegments, WALL_ROTATIONS } from './galleryLayout.js';
 
 /**
  * Geometrie- und Objekt-Verwaltung
@@ -13,6 +14,7 @@ export class GeometryManager {
     constructor(scene) {
         this.scene = scene;
         this.lightingManager = null;
+        this.collisionManager = null;
         this.objects = {};
         this.rooms = {};
         this.corridors = {};
@@ -28,6 +30,19 @@ export class GeometryManager {
         return this.lightingManager;
     }
 
+    setCollisionManager(collisionManager) {
+        this.collisionManager = collisionManager;
+    }
+
+    /**
+     * Objekt als Hindernis für den Spieler registrieren (falls Kollisionen aktiv sind)
+     */
+    registerCollider(object, options) {
+        if (this.collisionManager) {
+            this.collisionManager.addCollider(object, options);
+        }
+    }
+
     /**
      * Boden für einen Bereich erstellen
      */
@@ -52,9 +67,9 @@ export class GeometryManager {
     }
 
     /**
-     * Wände für einen Raum erstellen
+     * Wände eines Bereichs aus dem Layout erstellen (Durchgänge bleiben offen)
      */
-    createWalls(width = GALLERY_CONFIG.ROOM.WIDTH, depth = GALLERY_CONFIG.ROOM.DEPTH, height = GALLERY_CONFIG.ROOM.WALL_HEIGHT, center = new THREE.Vector3(0, 0, 0), name = 'walls', openings = {}) {
+    createWalls(area, name = 'walls') {
         // Matte Galeriewände
         const wallMaterial = new THREE.MeshStandardMaterial({
             color: GALLERY_CONFIG.MATERIALS.WALL.COLOR,
@@ -64,63 +79,37 @@ export class GeometryManager {
 
         const walls = {};
 
-        // Hintere Wand
-        if (!openings.back) {
-            const backWallGeometry = new THREE.PlaneGeometry(width, height);
-            const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-            backWall.position.set(center.x, center.y + height / 2, center.z - depth / 2);
-            backWall.receiveShadow = true;
-            walls.backWall = backWall;
-            this.scene.add(backWall);
-        } else if (openings.back === 'doorway') {
-            const doorwayWalls = this.createWallWithDoorway(width, height, center.x, center.y + height / 2, center.z - depth / 2, 0, wallMaterial, 'back');
-            walls.backWallLeft = doorwayWalls.left;
-            walls.backWallRight = doorwayWalls.right;
-            walls.backWallTop = doorwayWalls.top;
-        }
-
-        // Vordere Wand
-        if (!openings.front) {
-            const frontWallGeometry = new THREE.PlaneGeometry(width, height);
-            const frontWall = new THREE.Mesh(frontWallGeometry, wallMaterial);
-            frontWall.position.set(center.x, center.y + height / 2, center.z + depth / 2);
-            frontWall.rotation.y = Math.PI;
-            frontWall.receiveShadow = true;
-            walls.frontWall = frontWall;
-            this.scene.add(frontWall);
-        } else if (openings.front === 'doorway') {
-            const doorwayWalls = this.createWallWithDoorway(width, height, center.x, center.y + height / 2, center.z + depth / 2, Math.PI, wallMaterial, 'front');
-            walls.frontWallLeft = doorwayWalls.left;
-            walls.frontWallRight = doorwayWalls.right;
-            walls.frontWallTop = doorwayWalls.top;
-        }
-
-        // Linke Wand
-        if (!openings.left) {
-            const leftWallGeometry = new THREE.PlaneGeometry(depth, height);
-            const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-            leftWall.position.set(center.x - width / 2, center.y + height / 2, center.z);
-            leftWall.rotation.y = Math.PI / 2;
-            leftWall.receiveShadow = true;
-            walls.leftWall = leftWall;
-            this.scene.add(leftWall);
-        }
+        for (const wallName of area.walls) {
+            const span = getWallSpan(area, wallName);
+            const segments = getWallSegments(area, wallName);
+            const isSolid = segments.length === 1 && segments[0].bottom === 0;
+
+            segments.forEach((segment, index) => {
+                const length = segment.end - segment.start;
+                const height = segment.top - segment.bottom;
+                const along = (segment.start + segment.end) / 2;
+                const y = (segment.bottom + segment.top) / 2;
+
+                const wall = new THREE.Mesh(new THREE.PlaneGeometry(length, height), wallMaterial);
+                if (span.axis === 'x') {
+                    wall.position.set(along, y, span.fixed);
+                } else {
+                    wall.position.set(span.fixed, y, along);
+                }
+                wall.rotation.y = WALL_ROTATIONS[wallName];
+                wall.receiveShadow = true;
 
-        // Rechte Wand
-        if (!openings.right) {
-            const rightWallGeometry = new THREE.PlaneGeometry(depth, height);
-            const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-            rightWall.position.set(center.x + width / 2, center.y + height / 2, center.z);
-            rightWall.rotation.y = -Math.PI / 2;
-            rightWall.receiveShadow = true;
-            walls.rightWall = rightWall;
-            this.scene.add(rightWall);
+                // Durchgehende Wände behalten ihren Namen (z.B. "rightWall" für Fraktale)
+                walls[isSolid ? `${wallName}Wall` : `${wallName}Wall${index}`] = wall;
+                this.scene.add(wall);
+            });
         }
 
         this.objects[name] = walls;
 
         for (const wall of Object.values(walls)) {
             wall.BBox = new THREE.Box3().setFromObject(wall);
+            this.registerCollider(wall);
         }
         return walls;
     }
@@ -147,38 +136,23 @@ export class GeometryManager {
     }
 
     /**
-     * Kompletten Raum erstellen
-     */
-    createRoom(center = new THREE.Vector3(0, 0, 0), name = 'room', openings = {}) {
-        const { WIDTH, DEPTH, WALL_HEIGHT } = GALLERY_CONFIG.ROOM;
-
-        const room = {
-            floor: this.createFloor(WIDTH, DEPTH, center, `${name}_floor`),
-            walls: this.createWalls(WIDTH, DEPTH, WALL_HEIGHT, center, `${name}_walls`, openings),
-            ceiling: this.createCeiling(WIDTH, DEPTH, WALL_HEIGHT, center, `${name}_ceiling`)
-        };
-
-        this.rooms[name] = room;
-        return room;
-    }
-
-    /**
-     * Korridor zwischen zwei Räumen erstellen
+     * Raum oder Korridor aus dem Layout erstellen
      */
-    createCorridor(start, end, name = 'corridor') {
-        const { WIDTH, WALL_HEIGHT } = GALLERY_CONFIG.CORRIDOR;
-
-        const center = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-        const length = start.distanceTo(end);
+    createArea(area) {
+        const center = new THREE.Vector3(area.center.x, 0, area.center.z);
 
-        const corridor = {
-            floor: this.createFloor(WIDTH, length, center, `${name}_floor`),
-            walls: this.createCorridorWalls(WIDTH, length, WALL_HEIGHT, center, `${name}_walls`),
-            ceiling: this.createCeiling(WIDTH, length, WALL_HEIGHT, center, `${name}_ceiling`)
+        const result = {
+            floor: this.createFloor(area.width, area.depth, center, `${area.id}_floor`),
+            walls: this.createWalls(area, `${area.id}_walls`),
+            ceiling: this.createCeiling(area.width, area.depth, area.height, center, `${area.id}_ceiling`)
         };
 
-        this.corridors[name] = corridor;
-        return corridor;
+        if (area.type === 'corridor') {
+            this.corridors[area.id] = result;
+        } else {
+            this.rooms[area.id] = result;
+        }
+        return result;
     }
 
     getCorridorGroup() {
@@ -186,108 +160,18 @@ export class GeometryManager {
     }
 
     /**
-     * Wand mit Durchgang erstellen
-     */
-    createWallWithDoorway(wallWidth, wallHeight, x, y, z, rotationY, material, direction) {
-        const doorwayWidth = GALLERY_CONFIG.CORRIDOR.WIDTH;
-        const doorwayHeight = 6;
-        const sideWallWidth = (wallWidth - doorwayWidth) / 2;
-
-        const walls = {};
-
-        if (sideWallWidth > 0) {
-            const leftGeometry = new THREE.PlaneGeometry(sideWallWidth, wallHeight);
-            const leftWall = new THREE.Mesh(leftGeometry, material);
-            leftWall.position.set(x - doorwayWidth / 2 - sideWallWidth / 2, y, z);
-            leftWall.rotation.y = rotationY;
-            leftWall.receiveShadow = true;
-            walls.left = leftWall;
-            this.scene.add(leftWall);
-        }
-
-        if (sideWallWidth > 0) {
-            const rightGeometry = new THREE.PlaneGeometry(sideWallWidth, wallHeight);
-            const rightWall = new THREE.Mesh(rightGeometry, material);
-            rightWall.position.set(x + doorwayWidth / 2 + sideWallWidth / 2, y, z);
-            rightWall.rotation.y = rotationY;
-            rightWall.receiveShadow = true;
-            walls.right = rightWall;
-            this.scene.add(rightWall);
-        }
-
-        const topWallHeight = wallHeight - doorwayHeight;
-        if (topWallHeight > 0) {
-            const topGeometry = new THREE.PlaneGeometry(doorwayWidth, topWallHeight);
-            const topWall = new THREE.Mesh(topGeometry, material);
-            topWall.position.set(x, y + doorwayHeight / 2, z);
-            topWall.rotation.y = rotationY;
-            topWall.receiveShadow = true;
-            walls.top = topWall;
-            this.scene.add(topWall);
-        }
-
-        for (const wall of Object.values(walls)) {
-            wall.BBox = new THREE.Box3().setFromObject(wall);
-        }
-
-        return walls;
-    }
-
-    /**
-     * Korridorwände erstellen
+     * Galerie-Struktur aus dem geladenen Layout aufbauen
      */
-    createCorridorWalls(width, length, height, center, name) {
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: GALLERY_CONFIG.MATERIALS.WALL.COLOR,
-            roughness: 0.9,
-            metalness: 0.0
-        });
-
-        const walls = {};
-
-        const leftWallGeometry = new THREE.PlaneGeometry(length, height);
-        const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-        leftWall.position.set(center.x - width / 2, center.y + height / 2, center.z);
-        leftWall.rotation.y = Math.PI / 2;
-        leftWall.receiveShadow = true;
-        walls.leftWall = leftWall;
-        this.scene.add(leftWall);
-
-        const rightWallGeometry = new THREE.PlaneGeometry(length, height);
-        const rightWall = new THREE.Mesh(rightWallGeometry, wallMaterial);
-        rightWall.position.set(center.x + width / 2, center.y + height / 2, center.z);
-        rightWall.rotation.y = -Math.PI / 2;
-        rightWall.receiveShadow = true;
-        walls.rightWall = rightWall;
-        this.scene.add(rightWall);
-
-        this.objects[name] = walls;
+    createGalleryStructure(layout) {
+        this.layout = layout;
 
-        for (const wall of Object.values(walls)) {
-            wall.BBox = new THREE.Box3().setFromObject(wall);
+        for (const area of layout.getAreas()) {
+            this.createArea(area);
         }
-        return walls;
     }
 
-    createGalleryStructure() {
-        const room1Center = new THREE.Vector3(
-            GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.x,
-            0,
-            GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.z
-        );
-
-        this.createRoom(room1Center, 'room1', { front: 'doorway' });
-
-        const corridorStart = new THREE.Vector3(0, 0, GALLERY_CONFIG.ROOM.DEPTH / 2);
-        const corridorEnd = new THREE.Vector3(0, 0, GALLERY_CONFIG.LAYOUT.ROOM2_CENTER.z - GALLERY_CONFIG.ROOM.DEPTH / 2);
-        this.createCorridor(corridorStart, corridorEnd, 'mainCorridor');
-
-        const room2Center = new THREE.Vector3(
-            GALLERY_CONFIG.LAYOUT.ROOM2_CENTER.x,
-            0,
-            GALLERY_CONFIG.LAYOUT.ROOM2_CENTER.z
-        );
-        this.createRoom(room2Center, 'room2', { back: 'doorway' });
+    getLayout() {
+        return this.layout;
     }
 
     createPlayerProp(position = new THREE.Vector3(0, 0, 0), options = {}) {
@@ -312,11 +196,14 @@ export class GeometryManager {
         cube.castShadow = true;
         cube.receiveShadow = true;
 
-        cube.BBox = new THREE.Box3().setFromObject(cube);
-
         this.objects.cube = cube;
         this.rooms['room2'].floor.add(cube);
 
+        // Box erst nach dem Einhängen in den Boden berechnen, sonst liegt sie im Ursprung
+        cube.updateWorldMatrix(true, false);
+        cube.BBox = new THREE.Box3().setFromObject(cube);
+        this.registerCollider(cube);
+
         this.lightingManager.addEmissiveLight(
             cube,
             {
@@ -336,7 +223,7 @@ export class GeometryManager {
         }
     }
 
-    createPainting(imageURL, width, height, position, rotation) {
+    createPainting(imageURL, width, height, position, rotation, name = imageURL) {
         const textureLoader = new THREE.TextureLoader();
         const paintingTexture = textureLoader.load(imageURL);
         const paintingMaterial = new THREE.MeshLambertMaterial({ map: paintingTexture });
@@ -373,7 +260,7 @@ export class GeometryManager {
         painting.position.set(position.x, position.y, position.z);
         painting.rotation.set(rotation.x, rotation.y, rotation.z);
         this.scene.add(painting);
-        this.objects[imageURL] = painting;
+        this.objects[name] = painting;
         return painting;
     }
 
@@ -445,6 +332,7 @@ export class GeometryManager {
 
         this.objects.pickableCube = pickableCube;
         this.scene.add(pickableCube);
+        this.registerCollider(pickableCube);
 
         if (this.lightingManager) {
             this.lightingManager.addEmissiveLight(pickableCube, {
@@ -631,6 +519,7 @@ export class GeometryManager {
 
         this.objects.stonePedestal = pedestalGroup;
         this.scene.add(pedestalGroup);
+        this.registerCollider(pedestalGroup);
 
         if (this.lightingManager) {
             this.lightingManager.addSpotlight(
@@ -0,0 +1,272 @@
+import { KEY_MAPPINGS } from '../config/constants.js';
+
+/**
+ * Eingabe-Aktionen mit frei belegbaren Tasten
+ *
+ * Tastencodes werden auf Aktionen abgebildet (z.B. KeyW -> FORWARD). Kamera, Galerie
+ * und Overlays reagieren nur noch auf Aktionen. Die Belegung wird in localStorage
+ * gespeichert, Standardwerte kommen aus KEY_MAPPINGS.
+ */
+
+const BINDINGS_STORAGE_KEY = 'gallery-key-bindings';
+
+// Diese Tasten bleiben dem Browser bzw. den Overlays vorbehalten
+const RESERVED_CODES = ['Escape'];
+
+// Beschriftungen für Tasten ohne Zeichen
+const KEY_LABELS = {
+    Space: 'Leertaste',
+    Enter: 'Enter',
+    ShiftLeft: 'Shift links',
+    ShiftRight: 'Shift rechts',
+    ControlLeft: 'Strg links',
+    ControlRight: 'Strg rechts',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+// Aktionen mit Beschriftung für das Einstellungsmenü
+export const ACTIONS = {
+    FORWARD: 'Vorwärts',
+    BACKWARD: 'Rückwärts',
+    LEFT: 'Links',
+    RIGHT: 'Rechts',
+    JUMP: 'Springen',
+    SPRINT: 'Sprinten (halten)',
+    CROUCH: 'Ducken (halten)',
+    STROLL: 'Schlendern ein/aus',
+    FLY: 'Flugmodus (Zuschauer)',
+    TOUR: 'Geführte Tour starten/beenden',
+    RECORD_KEYFRAME: 'Kamera-Keyframe aufnehmen',
+    INTERACT: 'Aufheben / Ablegen',
+    TOGGLE_BLOOM: 'Bloom umschalten',
+    CHAT: 'Chat öffnen',
+    PROFILE: 'Profil bearbeiten',
+    ARTWORK_VIEW: 'Kunstwerk im Vollbild',
+    SETTINGS: 'Steuerung anpassen',
+    NAVIGATION: 'Navigation (Räume & Kunstwerke)',
+    MINIMAP: 'Karte vergrößern'
+};
+
+export class InputManager {
+    constructor() {
+        this.bindings = this.loadBindings();
+        this.activeActions = new Set();
+        this.listeners = new Set();
+        this.bindingListeners = new Set();
+        this.layoutMap = null;
+
+        this.setupEventListeners();
+        this.loadKeyboardLayout();
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        document.addEventListener('keyup', (event) => this.handleKeyUp(event));
+
+        // Beim Fokuswechsel kommen keine keyup-Events mehr an
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    /**
+     * Tastaturlayout abfragen, damit z.B. auf AZERTY "Z" statt "W" angezeigt wird (nur Chromium)
+     */
+    async loadKeyboardLayout() {
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+
+        try {
+            this.layoutMap = await navigator.keyboard.getLayoutMap();
+            this.notifyBindingsChange();
+        } catch (error) {
+            console.warn('Keyboard layout map unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Standardbelegung mit den gespeicherten Abweichungen überschreiben
+     *
+     * Eine neue Standardtaste kann bereits vom Nutzer vergeben sein, dann bleibt
+     * die Standardaktion unbelegt, bis sie im Einstellungsmenü neu belegt wird.
+     */
+    loadBindings() {
+        const bindings = { ...KEY_MAPPINGS };
+        const overridden = new Set();
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)) || {};
+            for (const [action, code] of Object.entries(stored)) {
+                if (action in ACTIONS && typeof code === 'string' && !RESERVED_CODES.includes(code)) {
+                    bindings[action] = code;
+                    overridden.add(action);
+                }
+            }
+        } catch (error) {
+            console.warn('Stored key bindings are invalid, using defaults');
+        }
+
+        for (const action of Object.keys(bindings)) {
+            if (overridden.has(action)) continue;
+
+            const owner = [...overridden].find((other) => bindings[other] === bindings[action]);
+            if (owner) {
+                console.warn(`Key ${bindings[action]} is bound to ${owner}, ${action} is unbound`);
+                bindings[action] = null;
+            }
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Nur Abweichungen von KEY_MAPPINGS speichern, damit neue Standardtasten greifen
+     */
+    saveBindings() {
+        const overrides = {};
+        for (const [action, code] of Object.entries(this.bindings)) {
+            if (code !== KEY_MAPPINGS[action]) {
+                overrides[action] = code;
+            }
+        }
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(overrides));
+    }
+
+    handleKeyDown(event) {
+        const action = this.getActionForCode(event.code);
+        if (!action || event.repeat) return;
+
+        this.setActionState(action, true);
+    }
+
+    handleKeyUp(event) {
+        const action = this.getActionForCode(event.code);
+        if (!action) return;
+
+        this.setActionState(action, false);
+    }
+
+    getActionForCode(code) {
+        return Object.keys(this.bindings).find((action) => this.bindings[action] === code) || null;
+    }
+
+    /**
+     * Zustand einer Aktion setzen (auch für andere Eingabegeräte)
+     */
+    setActionState(action, pressed) {
+        if (pressed === this.activeActions.has(action)) return;
+
+        if (pressed) {
+            this.activeActions.add(action);
+        } else {
+            this.activeActions.delete(action);
+        }
+
+        for (const listener of this.listeners) {
+            listener(action, pressed);
+        }
+    }
+
+    /**
+     * Listener für Aktionen registrieren: listener(action, pressed)
+     *
+     * @returns {Function} Funktion zum Abmelden
+     */
+    onAction(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Listener für geänderte Belegungen oder Tastenbeschriftungen registrieren
+     *
+     * @returns {Function} Funktion zum Abmelden
+     */
+    onBindingsChange(listener) {
+        this.bindingListeners.add(listener);
+        return () => this.bindingListeners.delete(listener);
+    }
+
+    notifyBindingsChange() {
+        for (const listener of this.bindingListeners) {
+            listener();
+        }
+    }
+
+    isActive(action) {
+        return this.activeActions.has(action);
+    }
+
+    /**
+     * Alle aktiven Aktionen loslassen (z.B. wenn ein Eingabefeld den Fokus übernimmt)
+     */
+    releaseAll() {
+        for (const action of [...this.activeActions]) {
+            this.setActionState(action, false);
+        }
+    }
+
+    getBinding(action) {
+        return this.bindings[action];
+    }
+
+    /**
+     * Aktion, die bereits auf code liegt (außer action selbst)
+     */
+    getConflict(action, code) {
+        const other = this.getActionForCode(code);
+        return other && other !== action ? other : null;
+    }
+
+    /**
+     * Aktion neu belegen
+     *
+     * Liegt die Taste bereits auf einer anderen Aktion, werden beide Belegungen getauscht.
+     * @returns {string|null} die getauschte Aktion oder null
+     */
+    rebind(action, code) {
+        if (!(action in ACTIONS)) {
+            throw new Error(`Unknown input action "${action}"`);
+        }
+        if (RESERVED_CODES.includes(code)) {
+            throw new Error(`Key ${code} is reserved`);
+        }
+
+        const conflict = this.getConflict(action, code);
+        if (conflict) {
+            this.bindings[conflict] = this.bindings[action];
+        }
+        this.bindings[action] = code;
+
+        this.releaseAll();
+        this.saveBindings();
+        this.notifyBindingsChange();
+        return conflict;
+    }
+
+    resetBindings() {
+        this.bindings = { ...KEY_MAPPINGS };
+        this.releaseAll();
+        localStorage.removeItem(BINDINGS_STORAGE_KEY);
+        this.notifyBindingsChange();
+    }
+
+    isReserved(code) {
+        return RESERVED_CODES.includes(code);
+    }
+
+    /**
+     * Lesbare Beschriftung eines Tastencodes
+     */
+    getKeyLabel(code) {
+        if (!code) return '–';
+
+        const layoutKey = this.layoutMap && this.layoutMap.get(code);
+        if (layoutKey && layoutKey.trim()) return layoutKey.toUpperCase();
+
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        return code.replace(/^(Key|Digit)/, '');
+    }
+}
+
+export default InputManager;
@@ -1,4 +1,12 @@
 import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+// Fadenkreuz-Farben je nach Blickziel
+const CROSSHAIR_COLORS = {
+    DEFAULT: 0xffff00, // Gelb
+    HOLDING: 0x00ff00, // Grün
+    INTERACTIVE: 0x00ffff // Cyan: aufhebbares Objekt oder Kunstwerk im Blick
+};
 
 export class Intersect {
     constructor() {
@@ -7,14 +15,12 @@ export class Intersect {
 
         this.heldObject = null;
         this.pickableObjects = [];
+        this.artworkObjects = [];
+        this.focusedArtwork = null;
         this.pickDistance = 3;
+        this.artworkDistance = GALLERY_CONFIG.EXHIBITION.INFO_DISTANCE;
         this.holdDistance = 2;
 
-        // Physik für fallende Objekte
-        this.gravity = -15;
-        this.groundLevel = 0.4;
-        this.objectVelocities = new Map();
-
         // 2D-Fadenkreuz im Screen-Space
         const crossSize = 0.015;
         const geometry = new THREE.BufferGeometry();
@@ -24,10 +30,13 @@ export class Intersect {
         ]);
         geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
 
-        const material = new THREE.LineBasicMaterial({ color: 0xffff00 });
+        const material = new THREE.LineBasicMaterial({ color: CROSSHAIR_COLORS.DEFAULT });
         this.cursor = new THREE.LineSegments(geometry, material);
         this.cursor.position.set(0, 0, 0);
         this.cursor.renderOrder = 999;
+        this.crosshairScale = 1;
+        this.aspectRatio = window.innerWidth / window.innerHeight;
+        this.updateCursorScale();
 
         // Overlay-Szene und -Kamera
         this.overlayScene = new THREE.Scene();
@@ -36,6 +45,26 @@ export class Intersect {
         this.overlayCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 10);
     }
 
+    /**
+     * Fadenkreuz unverzerrt halten (Overlay-Kamera spannt immer -1..1 auf)
+     */
+    updateAspectRatio(aspectRatio) {
+        this.aspectRatio = aspectRatio;
+        this.updateCursorScale();
+    }
+
+    /**
+     * Touch-Modus: größeres Fadenkreuz, da es die einzige Zielhilfe ohne Mauszeiger ist
+     */
+    setTouchMode(enabled) {
+        this.crosshairScale = enabled ? GALLERY_CONFIG.TOUCH.CROSSHAIR_SCALE : 1;
+        this.updateCursorScale();
+    }
+
+    updateCursorScale() {
+        this.cursor.scale.set(this.crosshairScale / this.aspectRatio, this.crosshairScale, 1);
+    }
+
     getOverlayScene() {
         return this.overlayScene;
     }
@@ -72,6 +101,22 @@ export class Intersect {
         }
     }
 
+    /**
+     * Gemälde mit Metadaten (userData.artwork) für die Info-Karte registrieren
+     */
+    addArtworkObject(object) {
+        if (!this.artworkObjects.includes(object)) {
+            this.artworkObjects.push(object);
+        }
+    }
+
+    /**
+     * Metadaten des Kunstwerks im Fadenkreuz (oder null)
+     */
+    getFocusedArtwork() {
+        return this.focusedArtwork;
+    }
+
     /**
      * Objekt aufheben oder ablegen
      */
@@ -100,7 +145,7 @@ export class Intersect {
                     this.heldObject = object;
                     object.userData.isHeld = true;
 
-                    this.cursor.material.color.setHex(0x00ff00);
+                    this.cursor.material.color.setHex(CROSSHAIR_COLORS.HOLDING);
 
                     console.log('Picked up:', object.name);
                     return true;
@@ -120,11 +165,28 @@ export class Intersect {
         console.log('Dropped:', this.heldObject.name);
         this.heldObject = null;
 
-        this.cursor.material.color.setHex(0xffff00);
+        this.cursor.material.color.setHex(CROSSHAIR_COLORS.DEFAULT);
 
         return true;
     }
 
+    /**
+     * Gehaltenes Objekt mit dem Spieler durch ein Portal mitnehmen
+     */
+    transformHeldObject(matrix) {
+        if (!this.heldObject) return;
+
+        const rotation = new THREE.Quaternion();
+        matrix.decompose(new THREE.Vector3(), rotation, new THREE.Vector3());
+
+        this.heldObject.position.applyMatrix4(matrix);
+        this.heldObject.quaternion.premultiply(rotation);
+
+        if (this.heldObject.BBox) {
+            this.heldObject.BBox.setFromObject(this.heldObject);
+        }
+    }
+
     /**
      * Gehaltenes Objekt der Kamera folgen lassen
      */
@@ -147,56 +209,6 @@ export class Intersect {
         }
     }
 
-    /**
-     * Physik für aufhebbare Objekte (Gravitation)
-     */
-    updatePhysics(deltaTime) {
-        for (const object of this.pickableObjects) {
-            if (object.userData.isHeld) continue;
-
-            if (!this.objectVelocities.has(object)) {
-                this.objectVelocities.set(object, 0);
-            }
-
-            let velocity = this.objectVelocities.get(object);
-            const currentY = object.position.y;
-
-            if (currentY > this.groundLevel + 0.01) {
-                velocity += this.gravity * deltaTime;
-                object.position.y += velocity * deltaTime;
-
-                if (object.position.y <= this.groundLevel) {
-                    object.position.y = this.groundLevel;
-                    velocity = 0;
-                    object.userData.isOnGround = true;
-
-                    object.rotation.x = 0;
-                    object.rotation.y = Math.round(object.rotation.y / (Math.PI / 2)) * (Math.PI / 2);
-                    object.rotation.z = 0;
-                } else {
-                    object.userData.isOnGround = false;
-                }
-
-                this.objectVelocities.set(object, velocity);
-
-                if (object.BBox) {
-                    object.BBox.setFromObject(object);
-                }
-            } else if (!object.userData.isOnGround) {
-                object.position.y = this.groundLevel;
-                object.rotation.x = 0;
-                object.rotation.y = Math.round(object.rotation.y / (Math.PI / 2)) * (Math.PI / 2);
-                object.rotation.z = 0;
-                this.objectVelocities.set(object, 0);
-                object.userData.isOnGround = true;
-
-                if (object.BBox) {
-                    object.BBox.setFromObject(object);
-                }
-            }
-        }
-    }
-
     isHoldingObject() {
         return this.heldObject !== null;
     }
@@ -207,27 +219,36 @@ export class Intersect {
 
     /**
      * Fadenkreuz-Farbe basierend auf Blickziel aktualisieren
+     *
+     * Merkt sich dabei auch das fokussierte Kunstwerk für die Info-Karte.
      */
     updateCrosshairFeedback(camera) {
+        this.focusedArtwork = null;
+
         if (this.heldObject) {
-            this.cursor.material.color.setHex(0x00ff00);
+            this.cursor.material.color.setHex(CROSSHAIR_COLORS.HOLDING);
             return;
         }
 
-        if (this.pickableObjects.length === 0) {
-            this.cursor.material.color.setHex(0xffff00);
+        if (this.pickableObjects.length === 0 && this.artworkObjects.length === 0) {
+            this.cursor.material.color.setHex(CROSSHAIR_COLORS.DEFAULT);
             return;
         }
 
         this.raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-        const intersects = this.raycaster.intersectObjects(this.pickableObjects, false);
-
-        if (intersects.length > 0 && intersects[0].distance <= this.pickDistance) {
-            // Aufhebbares Objekt im Blick - Cyan
-            this.cursor.material.color.setHex(0x00ffff);
+        const intersects = this.raycaster.intersectObjects([...this.pickableObjects, ...this.artworkObjects], false);
+        const hit = intersects[0];
+
+        if (hit && hit.object.userData.isPickable && hit.distance <= this.pickDistance) {
+            // Aufhebbares Objekt im Blick
+            this.cursor.material.color.setHex(CROSSHAIR_COLORS.INTERACTIVE);
+        } else if (hit && hit.object.userData.artwork && hit.distance <= this.artworkDistance) {
+            // Kunstwerk im Blick
+            this.focusedArtwork = hit.object.userData.artwork;
+            this.cursor.material.color.setHex(CROSSHAIR_COLORS.INTERACTIVE);
         } else {
-            // Normal - Gelb
-            this.cursor.material.color.setHex(0xffff00);
+            // Normal
+            this.cursor.material.color.setHex(CROSSHAIR_COLORS.DEFAULT);
         }
     }
 }
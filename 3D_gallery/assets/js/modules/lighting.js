@@ -1,5 +1,4 @@
 import * as THREE from 'three';
-import { GALLERY_CONFIG } from '../config/constants.js';
 
 /**
  * Beleuchtungs-Verwaltung
@@ -25,23 +24,34 @@ export class LightingManager {
         this.lights.ambient = new THREE.AmbientLight(0x404040, 4);
         this.scene.add(this.lights.ambient);
 
-        // Spotlight für Raum 2
-        this.lights.room2light = new THREE.SpotLight(new THREE.Color().setRGB(0.6, 0.0, 3.8), 8, 20, Math.PI, 0.5, 1);
-
-        this.lights.room2light.position.set(0, 7.5, 57.5);
-        this.lights.room2light.target.position.set(0, 0, 57.5);
-        this.lights.room2light.castShadow = true;
-
-        this.scene.add(this.lights.room2light, this.lights.room2light.target);
-
-        this.createRoom2PurpleFixture(0, 8, 57.5);
-
-        this.lights.room2lights = [this.lights.room2light]
-
         this.createFixtureMaterials();
-        this.createRoomCeilingLights();
-        this.createCorridorLights();
-        this.createArtworkSpotlights();
+    }
+
+    /**
+     * Beleuchtung aller Räume und Korridore aus dem Layout erstellen
+     */
+    createLayoutLights(layout) {
+        this.lights.ceilingLights = [];
+        this.lights.corridorLights = [];
+        this.lights.pendantLights = [];
+
+        for (const area of layout.getAreas()) {
+            for (const spec of area.lights) {
+                switch (spec.type) {
+                    case 'ceilingGrid':
+                        this.createRoomCeilingLights(area, spec);
+                        break;
+                    case 'ceilingRow':
+                        this.createCorridorLights(area, spec);
+                        break;
+                    case 'pendant':
+                        this.createPendantLight(area, spec);
+                        break;
+                    default:
+                        console.warn(`Unknown light type "${spec.type}" in area "${area.id}"`);
+                }
+            }
+        }
     }
 
     /**
@@ -118,77 +128,72 @@ export class LightingManager {
     }
 
     /**
-     * Deckenlichter für Raum 1 erstellen
+     * Deckenlichter als Raster über einen Raum verteilen
      */
-    createRoomCeilingLights() {
-        this.lights.ceilingLights = [];
-
-        const ceilingHeight = GALLERY_CONFIG.ROOM.WALL_HEIGHT;
-        const roomWidth = GALLERY_CONFIG.ROOM.WIDTH;
-        const roomDepth = GALLERY_CONFIG.ROOM.DEPTH;
-
-        const numLightsX = 3;
-        const numLightsZ = 2;
-
-        for (let i = 0; i < numLightsX; i++) {
-            for (let j = 0; j < numLightsZ; j++) {
-                const x = -roomWidth / 2 + (i + 0.5) * (roomWidth / numLightsX);
-                const z = -roomDepth / 2 + (j + 0.5) * (roomDepth / numLightsZ);
+    createRoomCeilingLights(area, { columns = 3, rows = 2, intensity = 6 } = {}) {
+        for (let i = 0; i < columns; i++) {
+            for (let j = 0; j < rows; j++) {
+                const x = area.center.x - area.width / 2 + (i + 0.5) * (area.width / columns);
+                const z = area.center.z - area.depth / 2 + (j + 0.5) * (area.depth / rows);
 
-                const light = this.createCeilingLightFixture(x, ceilingHeight, z, 6);
+                const light = this.createCeilingLightFixture(x, area.height, z, intensity);
                 this.lights.ceilingLights.push(light);
             }
         }
     }
 
     /**
-     * Korridorbeleuchtung erstellen
+     * Deckenlichter gleichmäßig entlang eines Korridors verteilen
      */
-    createCorridorLights() {
-        this.lights.corridorLights = [];
-
-        const corridorHeight = GALLERY_CONFIG.CORRIDOR.WALL_HEIGHT;
-        const layoutConfig = GALLERY_CONFIG.LAYOUT;
-
-        const roomDepth = GALLERY_CONFIG.ROOM.DEPTH;
-        const corridorStartZ = roomDepth / 2;
-        const corridorEndZ = layoutConfig.ROOM2_CENTER.z - roomDepth / 2;
-        const corridorLength = corridorEndZ - corridorStartZ;
+    createCorridorLights(area, { count = 4, intensity = 2.5 } = {}) {
+        const lightSpacing = area.length / (count + 1);
+        const start = area.axis === 'z'
+            ? area.center.z - area.length / 2
+            : area.center.x - area.length / 2;
+
+        for (let i = 0; i < count; i++) {
+            const along = start + lightSpacing * (i + 1);
+            const x = area.axis === 'z' ? area.center.x : along;
+            const z = area.axis === 'z' ? along : area.center.z;
+
+            const light = this.createCeilingLightFixture(x, area.height, z, intensity);
+            this.lights.corridorLights.push(light);
+        }
+    }
 
-        const numLights = 4;
-        const lightSpacing = corridorLength / (numLights + 1);
+    /**
+     * Farbiges Spotlight mit Hängelampe (Position relativ zur Raummitte)
+     */
+    createPendantLight(area, { offset = { x: 0, z: 0 }, color = { r: 1, g: 1, b: 1 }, fixtureColor, intensity = 8, distance = 20 } = {}) {
+        const x = area.center.x + offset.x;
+        const z = area.center.z + offset.z;
+        const lightColor = new THREE.Color().setRGB(color.r, color.g, color.b);
+
+        const light = new THREE.SpotLight(lightColor, intensity, distance, Math.PI, 0.5, 1);
+        light.position.set(x, area.height - 0.5, z);
+        light.target.position.set(x, 0, z);
+        light.castShadow = true;
 
-        for (let i = 0; i < numLights; i++) {
-            const zPos = corridorStartZ + lightSpacing * (i + 1);
+        this.scene.add(light, light.target);
+        // Überhelle Lichtfarben lassen sich nicht als Materialfarbe darstellen, daher optional eigene Farbe
+        this.createPendantFixture(x, area.height, z, new THREE.Color(fixtureColor ?? lightColor).getHex());
 
-            const light = this.createCeilingLightFixture(0, corridorHeight, zPos, 2.5);
-            this.lights.corridorLights.push(light);
-        }
+        this.lights.pendantLights.push(light);
+        return light;
     }
 
     /**
-     * Spotlights für Kunstwerke erstellen
+     * Spotlights für die Kunstwerke des Ausstellungs-Manifests erstellen
      */
-    createArtworkSpotlights() {
+    createArtworkSpotlights(artworks) {
         this.lights.artworkSpotlights = [];
 
-        const ceilingHeight = GALLERY_CONFIG.ROOM.WALL_HEIGHT;
-        const room1Z = GALLERY_CONFIG.LAYOUT.ROOM1_CENTER.z;
-        const corridorZ = GALLERY_CONFIG.LAYOUT.CORRIDOR_CENTER.z;
-
-        const artworkConfigs = [
-            { position: { x: -9, y: ceilingHeight - 0.5, z: room1Z }, target: { x: -12.49, y: 4, z: room1Z } },
-            { position: { x: 9, y: ceilingHeight - 0.5, z: room1Z }, target: { x: 12.49, y: 4, z: room1Z } },
-            { position: { x: 0, y: ceilingHeight - 0.5, z: -9 }, target: { x: 0, y: 4, z: -12.49 } },
-            { position: { x: -8, y: ceilingHeight - 0.5, z: -9 }, target: { x: -8, y: 4, z: -12.49 } },
-            { position: { x: 8, y: ceilingHeight - 0.5, z: -9 }, target: { x: 8, y: 4, z: -12.49 } },
-            { position: { x: 0, y: ceilingHeight - 0.5, z: corridorZ - 5 }, target: { x: -GALLERY_CONFIG.CORRIDOR.WIDTH / 2 + 0.01, y: 2.5, z: corridorZ - 5 } }
-        ];
-
-        artworkConfigs.forEach((config, index) => {
-            const spotlight = this.createArtworkSpotlight(config.position, config.target);
+        for (const artwork of artworks) {
+            if (!artwork.spotlight) continue;
+
+            const spotlight = this.createArtworkSpotlight(artwork.spotlight.position, artwork.spotlight.target);
             this.lights.artworkSpotlights.push(spotlight);
-        });
+        }
     }
 
     /**
@@ -215,9 +220,9 @@ export class LightingManager {
     }
 
     /**
-     * Moderne Hängelampe für violettes Licht in Raum 2
+     * Moderne Hängelampe mit leuchtendem Kern in Lichtfarbe
      */
-    createRoom2PurpleFixture(x, y, z) {
+    createPendantFixture(x, y, z, color = 0xaa00ff) {
         const fixtureGroup = new THREE.Group();
         fixtureGroup.position.set(x, y, z);
 
@@ -252,28 +257,29 @@ export class LightingManager {
         ring.position.y = -0.5;
         fixtureGroup.add(ring);
 
-        // Leuchtender violetter Kern
-        const purpleGlowMaterial = new THREE.MeshStandardMaterial({
-            color: 0xaa00ff,
-            emissive: 0xaa00ff,
+        // Leuchtender Kern
+        const glowMaterial = new THREE.MeshStandardMaterial({
+            color,
+            emissive: color,
             emissiveIntensity: 2.5,
             roughness: 0.1,
             metalness: 0.0
         });
 
         const lensGeometry = new THREE.CylinderGeometry(0.18, 0.22, 0.08, 16);
-        const lens = new THREE.Mesh(lensGeometry, purpleGlowMaterial);
+        const lens = new THREE.Mesh(lensGeometry, glowMaterial);
         lens.position.y = -0.52;
         fixtureGroup.add(lens);
 
         const innerGlowGeometry = new THREE.SphereGeometry(0.1, 16, 16);
-        const innerGlow = new THREE.Mesh(innerGlowGeometry, purpleGlowMaterial);
+        const innerGlow = new THREE.Mesh(innerGlowGeometry, glowMaterial);
         innerGlow.position.y = -0.48;
         fixtureGroup.add(innerGlow);
 
         this.scene.add(fixtureGroup);
         this.objects = this.objects || {};
-        this.objects.room2PurpleFixture = fixtureGroup;
+        this.objects.pendantFixtures = this.objects.pendantFixtures || [];
+        this.objects.pendantFixtures.push(fixtureGroup);
 
         return fixtureGroup;
     }
@@ -0,0 +1,415 @@
+import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Minimap und Grundriss-Ansicht
+ *
+ * Zeichnet Böden und Wände aus GeometryManager.rooms/corridors von oben in ein
+ * Canvas (x nach rechts, -z nach oben). Die Minimap folgt dem Spieler, die große
+ * Karte zeigt die ganze Galerie; dort setzt ein Klick auf eine Markierung einen Wegpunkt.
+ */
+
+// Markierungen zeichnen nur, was im Canvas liegt (plus etwas Rand)
+const OFFSCREEN_MARGIN = 20;
+
+export class MinimapManager {
+    constructor(cameraManager, inputManager, geometryManager) {
+        this.camera = cameraManager;
+        this.input = inputManager;
+        this.geometry = geometryManager;
+        this.multiplayer = null;
+
+        this.artworks = [];
+        this.portals = [];
+        this.waypoint = null;
+        this.expanded = false;
+
+        // Ansicht des letzten Frames (für Klicks auf der großen Karte)
+        this.view = { centerX: 0, centerZ: 0, scale: GALLERY_CONFIG.MINIMAP.SCALE, width: 0, height: 0 };
+
+        this.container = document.getElementById('minimap');
+        this.canvas = document.getElementById('minimap-canvas');
+        this.waypointLabel = document.getElementById('minimap-waypoint');
+
+        if (!this.container || !this.canvas || !this.waypointLabel) {
+            console.warn('MinimapManager: minimap elements missing in gallery.html');
+            return;
+        }
+
+        this.context = this.canvas.getContext('2d');
+        this.setupEventListeners();
+        this.resize();
+    }
+
+    setupEventListeners() {
+        this.input.onAction((action, pressed) => {
+            if (pressed && action === 'MINIMAP') {
+                this.setExpanded(!this.expanded);
+            }
+        });
+
+        // Klicks nicht an Pointer-Lock, Aufheben oder Kamerafahrt weitergeben
+        this.container.addEventListener('mousedown', (event) => event.stopPropagation());
+        this.container.addEventListener('pointerdown', (event) => event.stopPropagation());
+        this.container.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.expanded) {
+                this.handleMapClick(event);
+            } else {
+                this.setExpanded(true);
+            }
+        });
+
+        const closeButton = document.getElementById('minimap-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.setExpanded(false);
+            });
+        }
+
+        this.container.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                this.setExpanded(false);
+            }
+        });
+        this.container.addEventListener('keyup', (event) => event.stopPropagation());
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    setMultiplayerManager(multiplayerManager) {
+        this.multiplayer = multiplayerManager;
+    }
+
+    setArtworks(artworks) {
+        this.artworks = artworks;
+    }
+
+    /**
+     * Portale als Markierungen übernehmen ({ mesh, width, originalMaterial } aus PortalManager)
+     */
+    setPortals(portals) {
+        this.portals = portals;
+    }
+
+    setExpanded(expanded) {
+        if (!this.container || expanded === this.expanded) return;
+
+        this.expanded = expanded;
+        this.container.classList.toggle('expanded', expanded);
+
+        if (expanded) {
+            this.camera.releaseKeys();
+            this.camera.unlockPointer();
+            this.container.focus();
+        } else {
+            this.camera.lockPointer();
+        }
+        this.resize();
+    }
+
+    isExpanded() {
+        return this.expanded;
+    }
+
+    /**
+     * Canvas an die angezeigte Größe und Pixeldichte anpassen
+     */
+    resize() {
+        if (!this.canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.view.width = this.canvas.clientWidth;
+        this.view.height = this.canvas.clientHeight;
+        this.canvas.width = Math.round(this.view.width * ratio);
+        this.canvas.height = Math.round(this.view.height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Karte neu zeichnen (jeden Frame)
+     */
+    update() {
+        if (!this.context || !this.view.width) return;
+
+        const position = this.camera.getPosition();
+        this.updateWaypoint(position);
+        this.updateView(position);
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, this.view.width, this.view.height);
+
+        this.drawStructure(ctx);
+        this.drawPortals(ctx);
+        this.drawArtworks(ctx);
+        this.drawRemotePlayers(ctx);
+        this.drawWaypoint(ctx, position);
+        this.drawLocalPlayer(ctx, position);
+    }
+
+    /**
+     * Minimap: Spieler in der Mitte; große Karte: ganze Galerie eingepasst
+     */
+    updateView(position) {
+        const view = this.view;
+
+        if (!this.expanded) {
+            view.centerX = position.x;
+            view.centerZ = position.z;
+            view.scale = GALLERY_CONFIG.MINIMAP.SCALE;
+            return;
+        }
+
+        const bounds = this.getStructureBounds();
+        const padding = GALLERY_CONFIG.MINIMAP.EXPANDED_PADDING;
+        view.centerX = (bounds.minX + bounds.maxX) / 2;
+        view.centerZ = (bounds.minZ + bounds.maxZ) / 2;
+        view.scale = Math.min(
+            (view.width - padding * 2) / Math.max(bounds.maxX - bounds.minX, 1),
+            (view.height - padding * 2) / Math.max(bounds.maxZ - bounds.minZ, 1)
+        );
+    }
+
+    getStructureBounds() {
+        const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+
+        for (const floor of this.getFloors()) {
+            const { width, height } = floor.geometry.parameters;
+            bounds.minX = Math.min(bounds.minX, floor.position.x - width / 2);
+            bounds.maxX = Math.max(bounds.maxX, floor.position.x + width / 2);
+            bounds.minZ = Math.min(bounds.minZ, floor.position.z - height / 2);
+            bounds.maxZ = Math.max(bounds.maxZ, floor.position.z + height / 2);
+        }
+        return bounds;
+    }
+
+    getAreas() {
+        return [...Object.values(this.geometry.rooms), ...Object.values(this.geometry.corridors)];
+    }
+
+    getFloors() {
+        return this.getAreas().map((area) => area.floor);
+    }
+
+    toMap(x, z) {
+        const view = this.view;
+        return {
+            x: view.width / 2 + (x - view.centerX) * view.scale,
+            y: view.height / 2 + (z - view.centerZ) * view.scale
+        };
+    }
+
+    isOnMap(point) {
+        return point.x > -OFFSCREEN_MARGIN && point.x < this.view.width + OFFSCREEN_MARGIN
+            && point.y > -OFFSCREEN_MARGIN && point.y < this.view.height + OFFSCREEN_MARGIN;
+    }
+
+    /**
+     * Böden als Flächen, Wände als Linien (Stürze über Durchgängen bleiben offen)
+     */
+    drawStructure(ctx) {
+        const { FLOOR_COLOR, WALL_COLOR } = GALLERY_CONFIG.MINIMAP;
+
+        ctx.fillStyle = FLOOR_COLOR;
+        for (const floor of this.getFloors()) {
+            const { width, height } = floor.geometry.parameters;
+            const corner = this.toMap(floor.position.x - width / 2, floor.position.z - height / 2);
+            ctx.fillRect(corner.x, corner.y, width * this.view.scale, height * this.view.scale);
+        }
+
+        ctx.strokeStyle = WALL_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (const area of this.getAreas()) {
+            for (const wall of Object.values(area.walls)) {
+                if (!wall.BBox || wall.BBox.min.y > 0.1) continue;
+
+                const start = this.toMap(wall.BBox.min.x, wall.BBox.min.z);
+                const end = this.toMap(wall.BBox.max.x, wall.BBox.max.z);
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    drawPortals(ctx) {
+        ctx.lineWidth = 4;
+        for (const { mesh, width, originalMaterial } of this.portals) {
+            // Portalfläche liegt entlang ihrer lokalen x-Achse
+            const dx = Math.cos(mesh.rotation.y) * width / 2;
+            const dz = -Math.sin(mesh.rotation.y) * width / 2;
+            const start = this.toMap(mesh.position.x - dx, mesh.position.z - dz);
+            const end = this.toMap(mesh.position.x + dx, mesh.position.z + dz);
+
+            ctx.strokeStyle = `#${originalMaterial.color.getHexString()}`;
+
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        }
+    }
+
+    drawArtworks(ctx) {
+        ctx.fillStyle = GALLERY_CONFIG.MINIMAP.ARTWORK_COLOR;
+        const size = this.expanded ? 8 : 5;
+
+        for (const artwork of this.artworks) {
+            const point = this.toMap(artwork.position.x, artwork.position.z);
+            if (!this.isOnMap(point)) continue;
+            ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+        }
+    }
+
+    drawRemotePlayers(ctx) {
+        if (!this.multiplayer) return;
+
+        for (const remotePlayer of this.multiplayer.remotePlayers.values()) {
+            const object = remotePlayer.spectating ? remotePlayer.spectatorMarker : remotePlayer.prop;
+            if (!object) continue;
+
+            const point = this.toMap(object.position.x, object.position.z);
+            if (!this.isOnMap(point)) continue;
+
+            ctx.fillStyle = `#${new THREE.Color(remotePlayer.data.color ?? 0x4169e1).getHexString()}`;
+            ctx.globalAlpha = remotePlayer.spectating ? 0.5 : 1;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    drawWaypoint(ctx, position) {
+        if (!this.waypoint) return;
+
+        const player = this.toMap(position.x, position.z);
+        const point = this.toMap(this.waypoint.x, this.waypoint.z);
+
+        ctx.strokeStyle = GALLERY_CONFIG.MINIMAP.WAYPOINT_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(player.x, player.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Eigener Spieler als Pfeil in Blickrichtung
+     */
+    drawLocalPlayer(ctx, position) {
+        const direction = this.camera.getWorldDirection();
+        const angle = Math.atan2(direction.z, direction.x);
+        const point = this.toMap(position.x, position.z);
+
+        ctx.save();
+        ctx.translate(point.x, point.y);
+        ctx.rotate(angle);
+        ctx.fillStyle = GALLERY_CONFIG.MINIMAP.PLAYER_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(9, 0);
+        ctx.lineTo(-6, 6);
+        ctx.lineTo(-3, 0);
+        ctx.lineTo(-6, -6);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Markierungen unter dem Mauszeiger (Kunstwerke, Portale, Mitspieler)
+     */
+    getMarkers() {
+        const markers = this.artworks.map((artwork) => ({
+            x: artwork.viewpoint.position.x,
+            z: artwork.viewpoint.position.z,
+            mapX: artwork.position.x,
+            mapZ: artwork.position.z,
+            label: artwork.title
+        }));
+
+        for (const { mesh } of this.portals) {
+            markers.push({ x: mesh.position.x, z: mesh.position.z, label: 'Portal' });
+        }
+
+        if (this.multiplayer) {
+            for (const remotePlayer of this.multiplayer.remotePlayers.values()) {
+                if (remotePlayer.spectating || !remotePlayer.prop) continue;
+                const { x, z } = remotePlayer.prop.position;
+                markers.push({ x, z, label: remotePlayer.data.name });
+            }
+        }
+        return markers;
+    }
+
+    /**
+     * Klick auf der großen Karte: nächste Markierung als Wegpunkt setzen
+     * (ein Klick auf den aktuellen Wegpunkt entfernt ihn wieder)
+     */
+    handleMapClick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const clickX = event.clientX - rect.left;
+        const clickY = event.clientY - rect.top;
+        const hitRadius = GALLERY_CONFIG.MINIMAP.MARKER_HIT_RADIUS;
+
+        if (this.waypoint) {
+            const point = this.toMap(this.waypoint.x, this.waypoint.z);
+            if (Math.hypot(point.x - clickX, point.y - clickY) <= hitRadius) {
+                this.setWaypoint(null);
+                return;
+            }
+        }
+
+        let closest = null;
+        let closestDistance = hitRadius;
+        for (const marker of this.getMarkers()) {
+            const point = this.toMap(marker.mapX ?? marker.x, marker.mapZ ?? marker.z);
+            const distance = Math.hypot(point.x - clickX, point.y - clickY);
+            if (distance <= closestDistance) {
+                closest = marker;
+                closestDistance = distance;
+            }
+        }
+
+        if (closest) {
+            this.setWaypoint({ x: closest.x, z: closest.z, label: closest.label });
+        }
+    }
+
+    setWaypoint(waypoint) {
+        this.waypoint = waypoint;
+        this.waypointLabel.classList.toggle('hidden', !waypoint);
+    }
+
+    getWaypoint() {
+        return this.waypoint;
+    }
+
+    /**
+     * Entfernung anzeigen und den Wegpunkt beim Erreichen entfernen
+     */
+    updateWaypoint(position) {
+        if (!this.waypoint) return;
+
+        const distance = Math.hypot(this.waypoint.x - position.x, this.waypoint.z - position.z);
+        if (distance <= GALLERY_CONFIG.MINIMAP.WAYPOINT_REACH_DISTANCE) {
+            console.log(`Waypoint "${this.waypoint.label}" reached`);
+            this.setWaypoint(null);
+            return;
+        }
+
+        this.waypointLabel.textContent = `${this.waypoint.label} – ${Math.round(distance)} m`;
+    }
+}
+
+export default MinimapManager;
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+import { SnapshotBuffer } from './snapshotBuffer.js';
+import { loadPlayerProfile, savePlayerProfile, getPersonOptions } from './playerProfile.js';
+
+const SESSION_STORAGE_PREFIX = 'gallery-session:';
 
 /**
  * Multiplayer-Verwaltung für WebSocket-Verbindungen und Spieler-Synchronisation
@@ -13,11 +18,43 @@ export class MultiplayerManager {
         this.localPlayerId = null;
         this.remotePlayers = new Map();
         this.lastPositionUpdate = 0;
-        this.updateInterval = 100; // Positions-Updates alle 100ms
+        this.updateInterval = 100; // Standardwert, wird vom Server per 'server-config' vorgegeben
+
+        // Galerie-Instanz aus der URL (z.B. gallery.html?room=class-a)
+        this.instanceName = new URLSearchParams(window.location.search).get('room') || 'lobby';
+        this.instanceFull = false;
+
+        // Gewähltes Profil (Startseite), bleibt über Verbindungsabbrüche hinweg erhalten
+        this.profile = loadPlayerProfile();
+        savePlayerProfile(this.profile);
+        this.playerName = this.profile.name;
+        this.playerColor = this.profile.colors.clothing;
+        this.sessionToken = sessionStorage.getItem(SESSION_STORAGE_PREFIX + this.instanceName);
+        this.hasJoined = false;
+
+        this.chatManager = null;
+        this.collisionManager = null;
 
         this.init();
     }
 
+    setChatManager(chatManager) {
+        this.chatManager = chatManager;
+    }
+
+    /**
+     * Entfernte Spieler werden als Hindernisse für den lokalen Spieler registriert
+     */
+    setCollisionManager(collisionManager) {
+        this.collisionManager = collisionManager;
+    }
+
+    unregisterCollider(prop) {
+        if (this.collisionManager) {
+            this.collisionManager.removeCollider(prop);
+        }
+    }
+
     init() {
         try {
             this.socket = io();
@@ -34,20 +71,39 @@ export class MultiplayerManager {
         this.socket.on('connect', () => {
             console.log('Connected to multiplayer server');
             this.isConnected = true;
-            this.localPlayerId = this.socket.id;
             this.joinRoom();
         });
 
-        // Verbindung verloren
+        // Vom Server vorgegebene Einstellungen
+        this.socket.on('server-config', (config) => {
+            if (config.moveUpdateInterval > 0) {
+                this.updateInterval = config.moveUpdateInterval;
+            }
+        });
+
+        // Verbindung verloren - Spieler-ID bleibt für die Wiederaufnahme erhalten
         this.socket.on('disconnect', () => {
             console.log('Disconnected from multiplayer server');
             this.isConnected = false;
-            this.localPlayerId = null;
+        });
+
+        // Sitzung gestartet oder fortgesetzt
+        this.socket.on('session', (session) => {
+            this.handleSession(session);
         });
 
         // Spielerliste beim Beitreten erhalten
         this.socket.on('players-list', (players) => {
             console.log('Received players list:', players);
+
+            // Während eines Verbindungsabbruchs gegangene Spieler entfernen
+            const playerIds = new Set(players.map(player => player.id));
+            for (const playerId of Array.from(this.remotePlayers.keys())) {
+                if (!playerIds.has(playerId)) {
+                    this.removeRemotePlayer(playerId);
+                }
+            }
+
             players.forEach(player => {
                 if (player.id !== this.localPlayerId) {
                     this.addRemotePlayer(player);
@@ -61,6 +117,11 @@ export class MultiplayerManager {
             this.addRemotePlayer(player);
         });
 
+        // Name oder Farben eines Spielers geändert
+        this.socket.on('player-updated', (player) => {
+            this.handlePlayerUpdated(player);
+        });
+
         // Spieler verlassen
         this.socket.on('player-left', (playerId) => {
             console.log('Player left:', playerId);
@@ -76,19 +137,33 @@ export class MultiplayerManager {
         this.socket.on('chat-message', (messageData) => {
             this.displayChatMessage(messageData);
         });
+
+        // Vom Server verworfene Nachricht (ungültige Payload oder Ratenbegrenzung)
+        this.socket.on('error', (error) => {
+            console.warn(`Server rejected ${error.event}: ${error.code} - ${error.message}`);
+        });
+
+        // Instanz voll - Beitritt abgelehnt
+        this.socket.on('instance-full', (data) => {
+            console.warn(`Gallery instance "${data.instance}" is full (${data.capacity} players)`);
+            this.instanceFull = true;
+            this.showNotice(`Die Galerie "${data.instance}" ist voll (max. ${data.capacity} Besucher). Bitte später erneut versuchen.`);
+            this.socket.disconnect();
+        });
     }
 
     joinRoom() {
         if (!this.socket || !this.isConnected) return;
 
-        const cameraPos = this.camera.getPosition();
+        // Im Flugmodus oder auf einer Kamerafahrt außerhalb der Grenzen würde der Server ablehnen
+        const cameraPos = this.camera.getNetworkPosition();
 
         // Y-Rotation aus Blickrichtung berechnen
         const direction = this.camera.getWorldDirection();
         const yRotation = Math.atan2(direction.x, direction.z);
 
         const playerData = {
-            name: this.generatePlayerName(),
+            ...this.getAppearanceData(),
             position: {
                 x: cameraPos.x,
                 y: cameraPos.y,
@@ -99,12 +174,96 @@ export class MultiplayerManager {
                 y: yRotation,
                 z: 0
             },
-            color: this.generateRandomColor()
+            instance: this.instanceName,
+            sessionToken: this.sessionToken
         };
 
         this.socket.emit('player-join', playerData);
     }
 
+    /**
+     * Name und Avatar-Farben im Format der Server-Events
+     */
+    getAppearanceData() {
+        return {
+            name: this.profile.name,
+            color: this.profile.colors.clothing,
+            hairColor: this.profile.colors.hair,
+            skinColor: this.profile.colors.skin,
+            pantsColor: this.profile.colors.pants
+        };
+    }
+
+    /**
+     * Profil während der Sitzung ändern und an den Server senden
+     */
+    updateProfile(profile) {
+        this.profile = profile;
+        this.playerName = profile.name;
+        this.playerColor = profile.colors.clothing;
+
+        if (!this.socket || !this.isConnected) return;
+
+        this.socket.emit('player-update', this.getAppearanceData());
+    }
+
+    /**
+     * Geänderten Spieler übernehmen: lokal nur Name/Farbe, entfernt Person und Label neu aufbauen
+     */
+    handlePlayerUpdated(player) {
+        if (player.id === this.localPlayerId) {
+            this.playerName = player.name;
+            this.playerColor = player.color;
+            return;
+        }
+
+        const remotePlayer = this.remotePlayers.get(player.id);
+        if (!remotePlayer) return;
+
+        const position = remotePlayer.prop.position.clone();
+        const quaternion = remotePlayer.prop.quaternion.clone();
+        const wasSpectating = remotePlayer.spectating;
+
+        this.setSpectating(remotePlayer, false);
+        this.removeSpeechBubble(remotePlayer);
+        this.unregisterCollider(remotePlayer.prop);
+        this.personManager.removePerson(`remote_${player.id}`);
+
+        remotePlayer.data = { ...remotePlayer.data, ...player };
+        remotePlayer.prop = this.createRemotePlayerProp(remotePlayer.data, position);
+        remotePlayer.prop.quaternion.copy(quaternion);
+        this.setSpectating(remotePlayer, wasSpectating);
+
+        console.log(`Updated remote player: ${player.name}`);
+    }
+
+    /**
+     * Sitzungsdaten vom Server übernehmen
+     */
+    handleSession(session) {
+        this.sessionToken = session.sessionToken;
+        sessionStorage.setItem(SESSION_STORAGE_PREFIX + this.instanceName, session.sessionToken);
+
+        this.localPlayerId = session.playerId;
+        this.playerName = session.player.name;
+        this.playerColor = session.player.color;
+
+        if (session.resumed) {
+            if (!this.hasJoined) {
+                // Neu geladene Seite: an letzter bekannter Position weitermachen
+                const { x, y, z } = session.player.position;
+                this.camera.setPosition(new THREE.Vector3(x, y, z));
+            }
+            // Aktuelle Position sofort nachsenden
+            this.lastPositionUpdate = 0;
+            console.log(`Resumed session as ${this.playerName}`);
+        } else {
+            console.log(`Started new session as ${this.playerName}`);
+        }
+
+        this.hasJoined = true;
+    }
+
     /**
      * Entfernten Spieler zur Szene hinzufügen
      */
@@ -125,35 +284,123 @@ export class MultiplayerManager {
             playerData.position.z
         );
 
-        const playerProp = this.personManager.createPerson(
-            groundPosition,
-            {
-                name: `remote_${playerData.id}`,
-                clothingColor: playerData.color || 0x4169e1,
-                scale: playerScale
-            }
-        );
-
+        const playerProp = this.createRemotePlayerProp(playerData, groundPosition);
         playerProp.rotation.y = playerData.rotation.y;
 
         console.log(`Player ${playerData.name} created with Y rotation: ${playerData.rotation.y} radians (${(playerData.rotation.y * 180 / Math.PI).toFixed(1)} degrees)`);
 
-        this.addPlayerNameLabel(playerProp, playerData.name);
-
         this.remotePlayers.set(playerData.id, {
             prop: playerProp,
-            data: playerData
+            data: playerData,
+            snapshots: new SnapshotBuffer(
+                GALLERY_CONFIG.MULTIPLAYER.SNAPSHOT_BUFFER_SIZE,
+                GALLERY_CONFIG.MULTIPLAYER.EXTRAPOLATION_LIMIT
+            ),
+            clockOffset: null,
+            movementMode: playerData.movementMode || 'walk',
+            spectating: false,
+            spectatorMarker: null,
+            speechBubble: null,
+            sample: {
+                position: new THREE.Vector3(),
+                quaternion: new THREE.Quaternion(),
+                velocity: new THREE.Vector3()
+            }
         });
 
+        this.setSpectating(this.remotePlayers.get(playerData.id), !!playerData.spectating);
+
         console.log(`Added remote player: ${playerData.name}`);
     }
 
+    /**
+     * Zuschauer (Flugmodus) statt als Person als schwebende Markierung zeigen
+     */
+    setSpectating(remotePlayer, spectating) {
+        if (remotePlayer.spectating === spectating) return;
+
+        remotePlayer.spectating = spectating;
+        remotePlayer.prop.visible = !spectating;
+
+        if (spectating) {
+            this.unregisterCollider(remotePlayer.prop);
+            remotePlayer.spectatorMarker = this.createSpectatorMarker(remotePlayer.data);
+            remotePlayer.spectatorMarker.position.copy(remotePlayer.prop.position);
+            this.scene.add(remotePlayer.spectatorMarker);
+        } else {
+            this.removeSpectatorMarker(remotePlayer);
+            if (this.collisionManager) {
+                this.collisionManager.addCollider(remotePlayer.prop, { shape: 'cylinder', radius: 0.35, height: 2.2 });
+            }
+        }
+    }
+
+    createSpectatorMarker(playerData) {
+        const marker = new THREE.Group();
+
+        const orb = new THREE.Mesh(
+            new THREE.SphereGeometry(0.2, 16, 12),
+            new THREE.MeshBasicMaterial({ color: playerData.color ?? 0x4169e1, transparent: true, opacity: 0.6 })
+        );
+        marker.add(orb);
+
+        const label = this.createTextSprite([playerData.name, 'Zuschauer'], { lineHeight: 48 });
+        label.position.set(0, 0.6, 0);
+        marker.add(label);
+
+        return marker;
+    }
+
+    removeSpectatorMarker(remotePlayer) {
+        const marker = remotePlayer.spectatorMarker;
+        if (!marker) return;
+
+        this.scene.remove(marker);
+        marker.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        remotePlayer.spectatorMarker = null;
+    }
+
+    /**
+     * Personen-Prop mit Namenslabel für einen entfernten Spieler erstellen
+     */
+    createRemotePlayerProp(playerData, position) {
+        const playerProp = this.personManager.createPerson(
+            position,
+            {
+                ...getPersonOptions({
+                    clothing: playerData.color ?? 0x4169e1,
+                    hair: playerData.hairColor,
+                    skin: playerData.skinColor,
+                    pants: playerData.pantsColor
+                }),
+                name: `remote_${playerData.id}`,
+                scale: 1.15
+            }
+        );
+
+        this.addPlayerNameLabel(playerProp, playerData.name);
+
+        if (this.collisionManager) {
+            this.collisionManager.addCollider(playerProp, { shape: 'cylinder', radius: 0.35, height: 2.2 });
+        }
+        return playerProp;
+    }
+
     /**
      * Entfernten Spieler aus der Szene entfernen
      */
     removeRemotePlayer(playerId) {
         const remotePlayer = this.remotePlayers.get(playerId);
         if (remotePlayer) {
+            this.removeSpeechBubble(remotePlayer);
+            this.removeSpectatorMarker(remotePlayer);
+            this.unregisterCollider(remotePlayer.prop);
             this.scene.remove(remotePlayer.prop);
             this.personManager.removePerson(`remote_${playerId}`);
             this.remotePlayers.delete(playerId);
@@ -163,49 +410,73 @@ export class MultiplayerManager {
     }
 
     /**
-     * Position und Rotation eines entfernten Spielers aktualisieren
+     * Empfangene Bewegung eines entfernten Spielers in dessen Snapshot-Puffer ablegen
      */
     updateRemotePlayer(movementData) {
         const remotePlayer = this.remotePlayers.get(movementData.id);
-        if (remotePlayer) {
-            const prop = remotePlayer.prop;
+        if (!remotePlayer) return;
 
-            if (!prop.previousPosition) {
-                prop.previousPosition = prop.position.clone();
-            }
+        const now = Date.now();
+        const timestamp = movementData.timestamp || now;
+
+        // Uhrabweichung zum Sender schätzen: Minimum folgen, langsam nach oben nachgeben
+        const offset = now - timestamp;
+        if (remotePlayer.clockOffset === null || offset < remotePlayer.clockOffset) {
+            remotePlayer.clockOffset = offset;
+        } else {
+            remotePlayer.clockOffset += (offset - remotePlayer.clockOffset) * 0.01;
+        }
 
-            const playerScale = 1.15;
-            const personGroupGroundOffset = -0.2 * playerScale;
-            const cameraHeight = 1.7;
+        remotePlayer.movementMode = movementData.movementMode || 'walk';
+        this.setSpectating(remotePlayer, !!movementData.spectating);
 
-            const jumpHeight = Math.max(0, movementData.position.y - cameraHeight);
-            const targetY = personGroupGroundOffset + jumpHeight;
+        const { x, y, z } = movementData.position;
+        remotePlayer.snapshots.push(timestamp, new THREE.Vector3(x, y, z), movementData.rotation.y);
+    }
 
-            const targetPosition = new THREE.Vector3(
-                movementData.position.x,
-                targetY,
-                movementData.position.z
-            );
+    /**
+     * Entfernte Spieler jedes Frame mit Verzögerung aus dem Snapshot-Puffer darstellen
+     */
+    update(deltaTime) {
+        const now = Date.now();
+        const interpolationDelay = GALLERY_CONFIG.MULTIPLAYER.INTERPOLATION_DELAY;
 
-            // Bewegung für Animation erkennen
-            const movement = targetPosition.distanceTo(prop.previousPosition);
-            const isMoving = movement > 0.01;
+        const playerScale = 1.15;
+        const personGroupGroundOffset = -0.2 * playerScale;
+        const cameraHeight = 1.7;
 
-            if (prop.animationState) {
-                if (isMoving) {
-                    prop.animationState.isWalking = true;
-                }
+        for (const [playerId, remotePlayer] of this.remotePlayers) {
+            // Vor allen Abkürzungen prüfen, sonst bliebe die Sprechblase von Zuschauern stehen
+            if (remotePlayer.speechBubble && now > remotePlayer.speechBubble.expiresAt) {
+                this.removeSpeechBubble(remotePlayer);
             }
 
-            // Horizontale Position interpolieren
-            prop.position.x = THREE.MathUtils.lerp(prop.position.x, targetPosition.x, 0.15);
-            prop.position.z = THREE.MathUtils.lerp(prop.position.z, targetPosition.z, 0.15);
+            if (remotePlayer.snapshots.isEmpty()) continue;
 
-            prop.previousPosition.copy(targetPosition);
+            const renderTime = now - remotePlayer.clockOffset - interpolationDelay;
+            const sample = remotePlayer.sample;
+            remotePlayer.snapshots.sample(renderTime, sample);
 
-            this.personManager.updateJumpingAnimation(prop, targetY);
-            prop.rotation.y = movementData.rotation.y;
-            this.personManager.updatePersonBoundingBox(`remote_${movementData.id}`);
+            // Zuschauer schweben frei, ohne Lauf- und Sprunganimation
+            if (remotePlayer.spectatorMarker) {
+                remotePlayer.spectatorMarker.position.copy(sample.position);
+                continue;
+            }
+
+            const prop = remotePlayer.prop;
+            prop.position.x = sample.position.x;
+            prop.position.z = sample.position.z;
+            prop.quaternion.copy(sample.quaternion);
+
+            const jumpHeight = Math.max(0, sample.position.y - cameraHeight);
+            this.personManager.updateJumpingAnimation(prop, personGroupGroundOffset + jumpHeight);
+
+            if (!prop.animationState.isJumping) {
+                this.personManager.updateWalkingAnimationFromVelocity(prop, sample.velocity, deltaTime);
+            }
+            this.personManager.updateCrouchPose(prop, remotePlayer.movementMode === 'crouch', deltaTime);
+
+            this.personManager.updatePersonBoundingBox(`remote_${playerId}`);
         }
     }
 
@@ -232,7 +503,9 @@ export class MultiplayerManager {
                 y: yRotation,
                 z: rotation.z
             },
-            isJumping: position.y > 1.6 + 0.1,
+            isJumping: !this.camera.isSpectating() && position.y > 1.6 + 0.1,
+            movementMode: this.camera.getMovementMode(),
+            spectating: this.camera.isSpectating(),
             timestamp: Date.now()
         });
 
@@ -240,34 +513,147 @@ export class MultiplayerManager {
     }
 
     /**
-     * Namenslabel über Spieler hinzufügen
+     * Text-Sprite aus Canvas erstellen (eine Zeile pro Eintrag in lines)
      */
-    addPlayerNameLabel(playerProp, name) {
+    createTextSprite(lines, options = {}) {
+        const width = options.width || 256;
+        const lineHeight = options.lineHeight || 64;
+        const background = options.background || 'rgba(0, 0, 0, 0.8)';
+        const textColor = options.textColor || 'white';
+
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
-        canvas.width = 256;
-        canvas.height = 64;
+        canvas.width = width;
+        canvas.height = lineHeight * lines.length;
 
-        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        context.fillStyle = background;
         context.fillRect(0, 0, canvas.width, canvas.height);
 
-        context.fillStyle = 'white';
-        context.font = '24px Arial';
+        context.fillStyle = textColor;
+        context.font = options.font || '24px Arial';
         context.textAlign = 'center';
-        context.fillText(name, canvas.width / 2, canvas.height / 2 + 8);
+        lines.forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, lineHeight * index + lineHeight / 2 + 8);
+        });
 
         const texture = new THREE.CanvasTexture(canvas);
         const material = new THREE.SpriteMaterial({ map: texture });
         const sprite = new THREE.Sprite(material);
 
+        // 256 Pixel Breite entsprechen 1 Welteinheit
+        sprite.scale.set(width / 256, canvas.height / 256, 1);
+
+        return sprite;
+    }
+
+    /**
+     * Namenslabel über Spieler hinzufügen
+     */
+    addPlayerNameLabel(playerProp, name) {
+        const sprite = this.createTextSprite([name]);
         sprite.position.set(0, 2.2, 0);
-        sprite.scale.set(1, 0.25, 1);
 
         playerProp.add(sprite);
     }
 
+    /**
+     * Sprechblase über einem entfernten Spieler anzeigen
+     */
+    showSpeechBubble(playerId, message) {
+        const remotePlayer = this.remotePlayers.get(playerId);
+        if (!remotePlayer) return;
+
+        this.removeSpeechBubble(remotePlayer);
+
+        const lines = this.wrapText(message, 28, 3);
+        const sprite = this.createTextSprite(lines, {
+            width: 512,
+            lineHeight: 48,
+            background: 'rgba(255, 255, 255, 0.9)',
+            textColor: '#1a1a1a',
+            font: '28px Arial'
+        });
+
+        // Über dem Namenslabel, nach oben wachsend
+        sprite.center.set(0.5, 0);
+        sprite.position.set(0, 2.4, 0);
+
+        remotePlayer.prop.add(sprite);
+        remotePlayer.speechBubble = {
+            sprite,
+            expiresAt: Date.now() + GALLERY_CONFIG.CHAT.BUBBLE_DURATION
+        };
+    }
+
+    removeSpeechBubble(remotePlayer) {
+        if (!remotePlayer.speechBubble) return;
+
+        const sprite = remotePlayer.speechBubble.sprite;
+        remotePlayer.prop.remove(sprite);
+        sprite.material.map.dispose();
+        sprite.material.dispose();
+        remotePlayer.speechBubble = null;
+    }
+
+    /**
+     * Text auf Zeilen umbrechen, überzählige Zeilen werden mit "…" abgeschnitten
+     */
+    wrapText(text, maxLineLength, maxLines) {
+        const lines = [];
+        let current = '';
+
+        for (const word of text.split(' ')) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (candidate.length <= maxLineLength) {
+                current = candidate;
+                continue;
+            }
+            if (current) lines.push(current);
+            current = word.length > maxLineLength ? word.substring(0, maxLineLength - 1) + '…' : word;
+        }
+        if (current) lines.push(current);
+
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            lines[maxLines - 1] = lines[maxLines - 1].substring(0, maxLineLength - 1) + '…';
+        }
+        return lines;
+    }
+
+    /**
+     * Hinweis für den Benutzer einblenden
+     */
+    showNotice(message) {
+        const noticeElement = document.getElementById('multiplayer-notice');
+        if (!noticeElement) return;
+
+        noticeElement.textContent = message;
+        noticeElement.classList.remove('hidden');
+    }
+
     displayChatMessage(messageData) {
         console.log(`[${messageData.playerName}]: ${messageData.message}`);
+
+        if (this.chatManager) {
+            this.chatManager.addMessage(
+                messageData.playerName,
+                messageData.message,
+                this.getPlayerColor(messageData.playerId)
+            );
+        }
+
+        this.showSpeechBubble(messageData.playerId, messageData.message);
+    }
+
+    /**
+     * Kleidungsfarbe eines Spielers (lokal oder entfernt)
+     */
+    getPlayerColor(playerId) {
+        if (playerId === this.localPlayerId) {
+            return this.playerColor;
+        }
+        const remotePlayer = this.remotePlayers.get(playerId);
+        return remotePlayer ? remotePlayer.data.color : 0xffffff;
     }
 
     sendChatMessage(message) {
@@ -276,26 +662,20 @@ export class MultiplayerManager {
         this.socket.emit('chat-message', { message });
     }
 
-    generatePlayerName() {
-        const adjectives = ['Swift', 'Brave', 'Clever', 'Bold', 'Quick', 'Smart', 'Cool', 'Epic'];
-        const nouns = ['Explorer', 'Visitor', 'Guest', 'Wanderer', 'Observer', 'Traveler'];
-
-        const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-        const noun = nouns[Math.floor(Math.random() * nouns.length)];
+    getProfile() {
+        return this.profile;
+    }
 
-        return `${adjective}${noun}`;
+    isMultiplayerConnected() {
+        return this.isConnected;
     }
 
-    generateRandomColor() {
-        const colors = [
-            0xff6b6b, 0x4ecdc4, 0x45b7d1, 0x96ceb4, 0xfeca57,
-            0xff9ff3, 0x54a0ff, 0x5f27cd, 0x00d2d3, 0xff9f43
-        ];
-        return colors[Math.floor(Math.random() * colors.length)];
+    getInstanceName() {
+        return this.instanceName;
     }
 
-    isMultiplayerConnected() {
-        return this.isConnected;
+    isInstanceFull() {
+        return this.instanceFull;
     }
 
     getPlayerCount() {
@@ -0,0 +1,200 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Navigationsmenü: Räume und Kunstwerke direkt anspringen
+ *
+ * Die Kamera wird hinter einer Abblende an den Betrachterstandpunkt vor dem Bild
+ * gesetzt. Deep Links (#artwork=<id> oder #area=<id>) öffnen die Galerie gleich dort.
+ */
+export class NavigationManager {
+    constructor(cameraManager, inputManager) {
+        this.camera = cameraManager;
+        this.input = inputManager;
+        this.layout = null;
+        this.exhibition = null;
+        this.isTravelling = false;
+
+        this.panel = document.getElementById('navigation-panel');
+        this.list = document.getElementById('navigation-list');
+        this.fadeOverlay = document.getElementById('fade-overlay');
+
+        if (!this.panel || !this.list || !this.fadeOverlay) {
+            console.warn('NavigationManager: navigation elements missing in gallery.html');
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.onAction((action, pressed) => {
+            if (pressed && action === 'NAVIGATION') {
+                this.toggle();
+            }
+        });
+
+        // Eingaben im Panel nicht an Kamera- und Galerie-Steuerung weitergeben
+        this.panel.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                this.close();
+            }
+        });
+        this.panel.addEventListener('keyup', (event) => event.stopPropagation());
+        this.panel.addEventListener('mousedown', (event) => event.stopPropagation());
+        this.panel.addEventListener('pointerdown', (event) => event.stopPropagation());
+
+        const closeButton = document.getElementById('navigation-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+
+        window.addEventListener('hashchange', () => this.applyDeepLink(true));
+    }
+
+    /**
+     * Layout und Ausstellung übernehmen und die Liste aufbauen
+     */
+    setContent(layout, exhibition) {
+        this.layout = layout;
+        this.exhibition = exhibition;
+        if (this.list) this.buildList();
+    }
+
+    buildList() {
+        this.list.replaceChildren();
+
+        for (const area of this.layout.getAreas()) {
+            const section = document.createElement('section');
+
+            const areaButton = document.createElement('button');
+            areaButton.type = 'button';
+            areaButton.className = 'navigation-area';
+            areaButton.textContent = area.name;
+            areaButton.addEventListener('click', () => this.select({ area: area.id }));
+            section.appendChild(areaButton);
+
+            const artworks = this.exhibition.getArtworks().filter((artwork) => artwork.area === area.id);
+            for (const artwork of artworks) {
+                const artworkButton = document.createElement('button');
+                artworkButton.type = 'button';
+                artworkButton.className = 'navigation-artwork';
+                artworkButton.textContent = artwork.artist ? `${artwork.title} – ${artwork.artist}` : artwork.title;
+                artworkButton.addEventListener('click', () => this.select({ artwork: artwork.id }));
+                section.appendChild(artworkButton);
+            }
+
+            this.list.appendChild(section);
+        }
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.panel) return;
+
+        this.camera.releaseKeys();
+        this.camera.unlockPointer();
+        this.panel.classList.remove('hidden');
+        this.panel.focus();
+    }
+
+    close(relockPointer = true) {
+        if (!this.panel) return;
+
+        this.panel.classList.add('hidden');
+        if (relockPointer) {
+            this.camera.lockPointer();
+        }
+    }
+
+    isOpen() {
+        return !!this.panel && !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * Ziel aus dem Menü anspringen und als teilbaren Link in die Adresszeile schreiben
+     */
+    select(destination) {
+        const [key, id] = Object.entries(destination)[0];
+        history.replaceState(null, '', `#${key}=${encodeURIComponent(id)}`);
+
+        this.close();
+        this.travelTo(destination);
+    }
+
+    /**
+     * Standpunkt und Blickziel für ein Kunstwerk oder einen Bereich
+     */
+    resolveDestination({ artwork: artworkId, area: areaId }) {
+        if (artworkId) {
+            const artwork = this.exhibition.getArtwork(artworkId);
+            return artwork ? artwork.viewpoint : null;
+        }
+
+        const area = areaId && this.layout.getArea(areaId);
+        if (!area) return null;
+
+        // Bereichsmitte, Blick auf das erste Kunstwerk dort (sonst entlang -z)
+        const firstArtwork = this.exhibition.getArtworks().find((artwork) => artwork.area === area.id);
+        const eyeHeight = GALLERY_CONFIG.CAMERA.GROUND_LEVEL;
+        return {
+            position: { x: area.center.x, y: eyeHeight, z: area.center.z },
+            target: firstArtwork
+                ? firstArtwork.position
+                : { x: area.center.x, y: eyeHeight, z: area.center.z - 1 }
+        };
+    }
+
+    /**
+     * Mit Abblende zum Ziel springen (instant: ohne Abblende, z.B. beim Laden)
+     */
+    travelTo(destination, instant = false) {
+        const viewpoint = this.resolveDestination(destination);
+        if (!viewpoint) {
+            console.warn('Unknown navigation target:', destination);
+            return false;
+        }
+
+        if (instant) {
+            this.camera.teleport(viewpoint.position, viewpoint.target);
+            return true;
+        }
+        if (this.isTravelling) return false;
+
+        const fadeDuration = GALLERY_CONFIG.NAVIGATION.FADE_DURATION;
+        this.isTravelling = true;
+        this.fadeOverlay.style.transitionDuration = `${fadeDuration}ms`;
+        this.fadeOverlay.classList.add('visible');
+
+        setTimeout(() => {
+            this.camera.teleport(viewpoint.position, viewpoint.target);
+            this.fadeOverlay.classList.remove('visible');
+            this.isTravelling = false;
+        }, fadeDuration);
+
+        return true;
+    }
+
+    /**
+     * Ziel aus dem URL-Fragment (#artwork=<id> oder #area=<id>) anspringen
+     */
+    applyDeepLink(animate = false) {
+        if (!this.layout || !this.exhibition) return false;
+
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const artwork = params.get('artwork');
+        const area = params.get('area');
+        if (!artwork && !area) return false;
+
+        return this.travelTo(artwork ? { artwork } : { area }, !animate);
+    }
+}
+
+export default NavigationManager;
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+// Anteil der Beinlänge, um den geduckte Personen einsinken
+const CROUCH_LEG_COMPRESSION = 0.4;
 
 /**
  * Personen-Erstellung und -Verwaltung
@@ -47,6 +51,9 @@ export class PersonManager {
             isJumping: false,
             walkCycle: 0,
             jumpProgress: 0,
+            crouchAmount: 0, // 0 stehend, 1 geduckt
+            crouchDrop: 0,
+            scale: config.scale,
             lastPosition: personGroup.position.clone(),
             velocity: new THREE.Vector3()
         };
@@ -344,6 +351,49 @@ export class PersonManager {
         }
     }
 
+    /**
+     * Laufanimation aus tatsächlicher Geschwindigkeit (z.B. interpolierte entfernte Spieler)
+     */
+    updateWalkingAnimationFromVelocity(person, velocity, deltaTime) {
+        if (!person.bodyParts || !person.animationState) {
+            return;
+        }
+
+        const { legs, arms } = person.bodyParts;
+        const animState = person.animationState;
+
+        animState.velocity.copy(velocity);
+        const speed = Math.hypot(velocity.x, velocity.z);
+        animState.isWalking = speed > 0.3;
+
+        let legTarget = 0;
+        let armTarget = 0;
+
+        if (animState.isWalking) {
+            // Schrittfrequenz und -weite folgen der Geschwindigkeit (Referenz: normales Gehtempo)
+            const speedFactor = Math.min(speed / GALLERY_CONFIG.CAMERA.MOVE_SPEED, 1.5);
+            animState.walkCycle += deltaTime * speed * 0.8;
+
+            legTarget = Math.sin(animState.walkCycle) * 0.5 * speedFactor;
+            armTarget = Math.sin(animState.walkCycle) * 0.3 * speedFactor;
+        } else {
+            animState.walkCycle = 0;
+        }
+
+        if (legs && legs.leftLeg) {
+            legs.leftLeg.rotation.x = THREE.MathUtils.lerp(legs.leftLeg.rotation.x, legTarget, 0.2);
+        }
+        if (legs && legs.rightLeg) {
+            legs.rightLeg.rotation.x = THREE.MathUtils.lerp(legs.rightLeg.rotation.x, -legTarget, 0.2);
+        }
+        if (arms && arms.leftArm) {
+            arms.leftArm.rotation.x = THREE.MathUtils.lerp(arms.leftArm.rotation.x, -armTarget, 0.15);
+        }
+        if (arms && arms.rightArm) {
+            arms.rightArm.rotation.x = THREE.MathUtils.lerp(arms.rightArm.rotation.x, armTarget, 0.15);
+        }
+    }
+
     /**
      * Sprunganimation aktualisieren
      */
@@ -364,7 +414,7 @@ export class PersonManager {
                 person.bodyParts.torso.rotation.x = jumpHeight * 0.1;
             }
         } else {
-            person.position.y = THREE.MathUtils.lerp(currentY, groundLevel, 0.2);
+            person.position.y = THREE.MathUtils.lerp(currentY, groundLevel - animState.crouchDrop, 0.2);
 
             if (person.bodyParts.torso) {
                 person.bodyParts.torso.rotation.x = THREE.MathUtils.lerp(
@@ -374,6 +424,34 @@ export class PersonManager {
         }
     }
 
+    /**
+     * Duck-Haltung ein-/ausblenden
+     *
+     * Beine werden gestaucht und der Körper um dieselbe Strecke abgesenkt, sodass die
+     * Füße am Boden bleiben. Die Absenkung steht danach in animationState.crouchDrop.
+     */
+    updateCrouchPose(person, isCrouching, deltaTime) {
+        if (!person.bodyParts || !person.animationState) return;
+
+        const animState = person.animationState;
+        const step = deltaTime * 5;
+        const target = isCrouching ? 1 : 0;
+        animState.crouchAmount += THREE.MathUtils.clamp(target - animState.crouchAmount, -step, step);
+
+        const legLength = 0.7 * animState.scale;
+        animState.crouchDrop = CROUCH_LEG_COMPRESSION * legLength * animState.crouchAmount;
+
+        const { legs, torso } = person.bodyParts;
+        const legScale = 1 - CROUCH_LEG_COMPRESSION * animState.crouchAmount;
+        if (legs && legs.leftLeg) legs.leftLeg.scale.y = legScale;
+        if (legs && legs.rightLeg) legs.rightLeg.scale.y = legScale;
+
+        // Oberkörper leicht nach vorn neigen (Sprung-Neigung hat Vorrang)
+        if (torso && !animState.isJumping) {
+            torso.rotation.x = 0.25 * animState.crouchAmount;
+        }
+    }
+
     animatePersons(deltaTime = 0.016) {
         this.updateAllBoundingBoxes();
 
@@ -0,0 +1,475 @@
+import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Starrkörper-Physik für aufhebbare Objekte
+ *
+ * Jeder Körper kollidiert als achsenparallele Box (Halbmaße aus der Ausgangsform)
+ * mit Boden, Wänden, Podesten, Spielern und anderen Körpern. Stöße wirken über
+ * Impulse mit Abprall und Reibung, Drehungen entstehen aus Rollen und Werfen.
+ * Ruhende Körper legen sich auf eine Seitenfläche und schlafen, bis ihnen der
+ * Untergrund fehlt oder sie angestoßen werden. Simuliert wird in festen Zeitschritten,
+ * unabhängig von der Bildrate.
+ */
+
+// Sprünge eines gehaltenen Objekts pro Frame (z.B. durch ein Portal) sind kein Wurf
+const TELEPORT_DISTANCE = 2;
+// Abstand, in dem ein schlafender Körper noch Halt findet
+const SUPPORT_PROBE = 0.05;
+// Kontaktnormalen steiler als dieser Wert gelten als Untergrund
+const GROUND_NORMAL_Y = 0.7;
+// Wände sind Ebenen ohne Dicke: ihre Box wächst um diesen Wert nach hinten
+const WALL_THICKNESS = 0.5;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const AXES = ['x', 'y', 'z'];
+
+// Wiederverwendbare Mathe-Objekte
+const _normal = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _spin = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _displacement = new THREE.Vector3();
+const _sampled = new THREE.Vector3();
+const _size = new THREE.Vector3();
+const _q = new THREE.Quaternion();
+const _qDelta = new THREE.Quaternion();
+const _rotation = new THREE.Matrix4();
+const _bodyBox = new THREE.Box3();
+const _otherBox = new THREE.Box3();
+
+/**
+ * Eindringung zweier Boxen entlang der Achse mit der geringsten Überlappung
+ *
+ * Schreibt die Normale (von b nach a) in out und gibt die Tiefe zurück, 0 ohne Überlappung.
+ */
+function getPenetration(a, b, out) {
+    let depth = Infinity;
+
+    for (const axis of AXES) {
+        const overlap = Math.min(a.max[axis], b.max[axis]) - Math.max(a.min[axis], b.min[axis]);
+        if (overlap <= 0) return 0;
+
+        if (overlap < depth) {
+            depth = overlap;
+            const centerA = (a.min[axis] + a.max[axis]) / 2;
+            const centerB = (b.min[axis] + b.max[axis]) / 2;
+            out.set(0, 0, 0);
+            out[axis] = centerA >= centerB ? 1 : -1;
+        }
+    }
+
+    return depth;
+}
+
+/**
+ * Nächste Lage, in der eine Seitenfläche flach aufliegt (Drehung um die Hochachse bleibt)
+ */
+function getRestingQuaternion(quaternion, out) {
+    _rotation.makeRotationFromQuaternion(quaternion);
+
+    let bestAlignment = -1;
+    for (let column = 0; column < 3; column++) {
+        const axis = _spin.setFromMatrixColumn(_rotation, column);
+        const alignment = Math.abs(axis.dot(UP));
+        if (alignment > bestAlignment) {
+            bestAlignment = alignment;
+            _axis.copy(axis).multiplyScalar(Math.sign(axis.dot(UP)) || 1);
+        }
+    }
+
+    return out.setFromUnitVectors(_axis, UP).multiply(quaternion);
+}
+
+export class PhysicsManager {
+    constructor(collisionManager = null) {
+        this.collisionManager = collisionManager;
+
+        const config = GALLERY_CONFIG.PHYSICS;
+        this.timestep = config.TIMESTEP;
+        this.maxSubsteps = config.MAX_SUBSTEPS;
+        this.accumulator = 0;
+
+        // Körper: { object, halfExtents, velocity, angularVelocity, grounded, sleeping, restTime, held, ... }
+        this.bodies = new Map();
+
+        // Teil-Boxen zusammengesetzter Hindernisse (z.B. Podest), einmalig berechnet
+        this.staticBoxes = new Map();
+    }
+
+    /**
+     * Objekt als Starrkörper simulieren
+     */
+    addBody(object) {
+        if (this.bodies.has(object)) return this.bodies.get(object);
+
+        object.updateWorldMatrix(true, true);
+        const halfExtents = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3()).multiplyScalar(0.5);
+
+        const body = {
+            object,
+            halfExtents,
+            radius: Math.min(halfExtents.x, halfExtents.y, halfExtents.z),
+            velocity: new THREE.Vector3(),
+            angularVelocity: new THREE.Vector3(),
+            grounded: false,
+            sleeping: false,
+            restTime: 0,
+            held: false,
+            previousPosition: new THREE.Vector3(),
+            previousQuaternion: new THREE.Quaternion()
+        };
+        this.bodies.set(object, body);
+        return body;
+    }
+
+    removeBody(object) {
+        this.bodies.delete(object);
+    }
+
+    getBody(object) {
+        return this.bodies.get(object) || null;
+    }
+
+    /**
+     * Pro Frame aufrufen: Würfe erfassen und in festen Schritten simulieren
+     */
+    update(deltaTime) {
+        for (const body of this.bodies.values()) {
+            this.trackHeldBody(body, deltaTime);
+        }
+
+        // Nach langen Frames (Tab im Hintergrund) nicht endlos nachrechnen
+        this.accumulator = Math.min(this.accumulator + deltaTime, this.timestep * this.maxSubsteps);
+        while (this.accumulator >= this.timestep) {
+            this.step(this.timestep);
+            this.accumulator -= this.timestep;
+        }
+    }
+
+    /**
+     * Gehaltene Körper folgen der Kamera; ihre Bewegung wird beim Loslassen zur Wurfgeschwindigkeit
+     */
+    trackHeldBody(body, deltaTime) {
+        const object = body.object;
+
+        if (object.userData.isHeld) {
+            if (!body.held) {
+                body.held = true;
+                body.sleeping = false;
+                body.velocity.set(0, 0, 0);
+                body.angularVelocity.set(0, 0, 0);
+            } else if (deltaTime > 0) {
+                _displacement.subVectors(object.position, body.previousPosition);
+                if (_displacement.length() < TELEPORT_DISTANCE) {
+                    _sampled.copy(_displacement).divideScalar(deltaTime);
+                    body.velocity.lerp(_sampled, 0.5);
+
+                    // Drehung seit dem letzten Frame als Achse * Winkel / Zeit
+                    _qDelta.copy(body.previousQuaternion).invert().premultiply(object.quaternion);
+                    if (_qDelta.w < 0) {
+                        _qDelta.set(-_qDelta.x, -_qDelta.y, -_qDelta.z, -_qDelta.w);
+                    }
+                    const angle = 2 * Math.acos(Math.min(1, _qDelta.w));
+                    const sinHalf = Math.sqrt(1 - _qDelta.w * _qDelta.w);
+                    if (sinHalf > 1e-6) {
+                        _sampled.set(_qDelta.x, _qDelta.y, _qDelta.z).multiplyScalar(angle / (sinHalf * deltaTime));
+                        body.angularVelocity.lerp(_sampled, 0.5);
+                    }
+                }
+            }
+
+            body.previousPosition.copy(object.position);
+            body.previousQuaternion.copy(object.quaternion);
+            return;
+        }
+
+        if (body.held) {
+            // Losgelassen: mit der zuletzt gemessenen Bewegung weiterfliegen
+            body.held = false;
+            body.restTime = 0;
+            body.velocity.clampLength(0, GALLERY_CONFIG.PHYSICS.MAX_THROW_SPEED);
+        }
+    }
+
+    /**
+     * Ein fester Simulationsschritt
+     */
+    step(dt) {
+        const config = GALLERY_CONFIG.PHYSICS;
+        const bodies = Array.from(this.bodies.values());
+
+        for (const body of bodies) {
+            if (body.held) continue;
+
+            if (body.sleeping) {
+                if (this.hasSupport(body, bodies)) continue;
+                this.wake(body);
+            }
+
+            const object = body.object;
+            body.velocity.y += config.GRAVITY * dt;
+            body.velocity.clampLength(0, config.MAX_SPEED);
+            object.position.addScaledVector(body.velocity, dt);
+
+            const angularSpeed = body.angularVelocity.length();
+            if (angularSpeed > 1e-6) {
+                _axis.copy(body.angularVelocity).divideScalar(angularSpeed);
+                _q.setFromAxisAngle(_axis, angularSpeed * dt);
+                object.quaternion.premultiply(_q).normalize();
+            }
+
+            body.grounded = false;
+            this.collideWithStatics(body);
+        }
+
+        // Körper untereinander (gehaltene schieben, werden aber nicht geschoben)
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                this.collideBodies(bodies[i], bodies[j]);
+            }
+        }
+
+        for (const body of bodies) {
+            if (body.held || body.sleeping) continue;
+
+            this.applySurfaceFriction(body, dt);
+            this.updateSleep(body, dt);
+
+            if (body.object.BBox) {
+                this.getBodyBox(body, body.object.BBox);
+            }
+        }
+    }
+
+    getBodyBox(body, out) {
+        return out.setFromCenterAndSize(body.object.position, _size.copy(body.halfExtents).multiplyScalar(2));
+    }
+
+    /**
+     * Boxen aller Hindernisse außer den simulierten Körpern
+     *
+     * Zusammengesetzte Objekte liefern je Mesh eine Box, damit man z.B. auf dem
+     * Kapitell eines Podests liegen bleibt statt auf dessen Gesamtbox.
+     */
+    forEachStaticBox(callback) {
+        if (!this.collisionManager) return;
+
+        for (const collider of this.collisionManager.getColliders()) {
+            const object = collider.object;
+            if (this.bodies.has(object)) continue;
+
+            if (collider.shape === 'cylinder') {
+                // Spieler als Box um ihren Zylinder
+                _otherBox.min.set(object.position.x - collider.radius, object.position.y, object.position.z - collider.radius);
+                _otherBox.max.set(object.position.x + collider.radius, object.position.y + collider.height, object.position.z + collider.radius);
+                callback(_otherBox);
+            } else if (object.isMesh) {
+                callback(this.getMeshBox(object));
+            } else {
+                for (const box of this.getStaticBoxes(object)) callback(box);
+            }
+        }
+    }
+
+    /**
+     * Box eines Mesh-Hindernisses; flache Boxen (Wände) erhalten hinter der
+     * Vorderseite eine Dicke, sonst gäbe es keine Überlappung und geworfene
+     * Körper flögen hindurch
+     */
+    getMeshBox(object) {
+        if (this.staticBoxes.has(object)) return this.staticBoxes.get(object)[0];
+
+        const size = object.BBox.getSize(_size);
+        const thinAxis = AXES.find((axis) => size[axis] < 1e-3);
+        if (!thinAxis) return object.BBox;
+
+        // Vorderseite der Ebene zeigt in lokaler +z-Richtung
+        object.updateWorldMatrix(true, false);
+        const front = _axis.set(0, 0, 1).transformDirection(object.matrixWorld);
+        const box = object.BBox.clone();
+        if (front[thinAxis] > 0) {
+            box.min[thinAxis] -= WALL_THICKNESS;
+        } else {
+            box.max[thinAxis] += WALL_THICKNESS;
+        }
+
+        this.staticBoxes.set(object, [box]);
+        return box;
+    }
+
+    getStaticBoxes(object) {
+        if (!this.staticBoxes.has(object)) {
+            const boxes = [];
+            object.updateWorldMatrix(true, true);
+            object.traverse((child) => {
+                if (child.isMesh) boxes.push(new THREE.Box3().setFromObject(child));
+            });
+            this.staticBoxes.set(object, boxes.length > 0 ? boxes : [object.BBox]);
+        }
+        return this.staticBoxes.get(object);
+    }
+
+    collideWithStatics(body) {
+        // Boden
+        const floorDepth = body.halfExtents.y - body.object.position.y;
+        if (floorDepth > 0) {
+            this.resolveContact(body, _normal.copy(UP), floorDepth);
+        }
+
+        this.forEachStaticBox((box) => {
+            this.getBodyBox(body, _bodyBox);
+            const depth = getPenetration(_bodyBox, box, _normal);
+            if (depth > 0) {
+                this.resolveContact(body, _normal, depth);
+            }
+        });
+    }
+
+    /**
+     * Kontakt mit einem unbeweglichen Hindernis: hinausschieben, abprallen, Reibung
+     */
+    resolveContact(body, normal, depth) {
+        const config = GALLERY_CONFIG.PHYSICS;
+        body.object.position.addScaledVector(normal, depth);
+        if (normal.y > GROUND_NORMAL_Y) body.grounded = true;
+
+        const normalSpeed = body.velocity.dot(normal);
+        if (normalSpeed >= 0) return;
+
+        // Langsame Stöße nicht abprallen lassen, sonst zittert ein liegender Körper
+        const restitution = -normalSpeed < config.BOUNCE_THRESHOLD ? 0 : config.RESTITUTION;
+        body.velocity.addScaledVector(normal, -(1 + restitution) * normalSpeed);
+
+        // Reibung bremst die Bewegung entlang der Fläche (höchstens bis zum Stillstand)
+        _tangent.copy(body.velocity).addScaledVector(normal, -body.velocity.dot(normal));
+        const tangentSpeed = _tangent.length();
+        if (tangentSpeed > 1e-6) {
+            const friction = Math.min(tangentSpeed, config.FRICTION * (1 + restitution) * -normalSpeed);
+            body.velocity.addScaledVector(_tangent, -friction / tangentSpeed);
+
+            // Gleiten an der Fläche bringt den Körper ins Rollen
+            _spin.crossVectors(normal, _tangent).divideScalar(body.radius);
+            body.angularVelocity.lerp(_spin, config.SPIN_TRANSFER);
+        }
+    }
+
+    collideBodies(a, b) {
+        if (a.held && b.held) return;
+
+        this.getBodyBox(a, _bodyBox);
+        this.getBodyBox(b, _otherBox);
+        const depth = getPenetration(_bodyBox, _otherBox, _normal);
+        if (depth <= 0) return;
+
+        _relative.subVectors(a.velocity, b.velocity);
+        const normalSpeed = _relative.dot(_normal);
+
+        // Schlafende Körper wachen nur bei kräftigen Stößen auf
+        const config = GALLERY_CONFIG.PHYSICS;
+        const impact = -normalSpeed >= config.BOUNCE_THRESHOLD;
+        if (impact) {
+            if (!a.held) this.wake(a);
+            if (!b.held) this.wake(b);
+        }
+
+        const inverseMassA = this.getInverseMass(a, _normal.y < -GROUND_NORMAL_Y);
+        const inverseMassB = this.getInverseMass(b, _normal.y > GROUND_NORMAL_Y);
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) return;
+
+        a.object.position.addScaledVector(_normal, depth * inverseMassA / inverseMassSum);
+        b.object.position.addScaledVector(_normal, -depth * inverseMassB / inverseMassSum);
+
+        if (_normal.y > GROUND_NORMAL_Y) a.grounded = true;
+        if (_normal.y < -GROUND_NORMAL_Y) b.grounded = true;
+
+        if (normalSpeed >= 0) return;
+
+        const restitution = impact ? config.RESTITUTION : 0;
+        const impulse = -(1 + restitution) * normalSpeed / inverseMassSum;
+
+        a.velocity.addScaledVector(_normal, impulse * inverseMassA);
+        b.velocity.addScaledVector(_normal, -impulse * inverseMassB);
+    }
+
+    /**
+     * Gehaltene und schlafende Körper sowie liegende Körper unter einem Stapel
+     * verhalten sich im Kontakt wie unendlich schwer
+     *
+     * @param {boolean} supporting Körper liegt unter dem anderen
+     */
+    getInverseMass(body, supporting) {
+        if (body.held || body.sleeping) return 0;
+        return supporting && body.grounded ? 0 : 1;
+    }
+
+    /**
+     * Auf dem Untergrund: Drehung abbremsen und auf eine Seitenfläche kippen
+     */
+    applySurfaceFriction(body, dt) {
+        const config = GALLERY_CONFIG.PHYSICS;
+
+        if (!body.grounded) {
+            body.angularVelocity.multiplyScalar(Math.max(0, 1 - config.AIR_DAMPING * dt));
+            return;
+        }
+
+        body.angularVelocity.multiplyScalar(Math.max(0, 1 - config.ANGULAR_FRICTION * dt));
+        body.velocity.x *= Math.max(0, 1 - config.ROLLING_FRICTION * dt);
+        body.velocity.z *= Math.max(0, 1 - config.ROLLING_FRICTION * dt);
+
+        getRestingQuaternion(body.object.quaternion, _q);
+        body.object.quaternion.slerp(_q, Math.min(1, config.SETTLE_RATE * dt));
+    }
+
+    updateSleep(body, dt) {
+        const config = GALLERY_CONFIG.PHYSICS;
+        const resting = body.grounded
+            && body.velocity.lengthSq() < config.SLEEP_SPEED * config.SLEEP_SPEED
+            && body.angularVelocity.lengthSq() < config.SLEEP_SPEED * config.SLEEP_SPEED;
+
+        if (!resting) {
+            body.restTime = 0;
+            return;
+        }
+
+        body.restTime += dt;
+        if (body.restTime >= config.SLEEP_TIME) {
+            body.sleeping = true;
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+            body.object.quaternion.copy(getRestingQuaternion(body.object.quaternion, _q));
+        }
+    }
+
+    wake(body) {
+        body.sleeping = false;
+        body.restTime = 0;
+    }
+
+    /**
+     * Liegt ein schlafender Körper noch auf Boden, Hindernis oder einem anderen Körper?
+     */
+    hasSupport(body, bodies) {
+        if (body.object.position.y - body.halfExtents.y <= SUPPORT_PROBE) return true;
+
+        // Schmale Schicht unter dem Körper (seitliche Kontakte tragen nicht)
+        this.getBodyBox(body, _bodyBox);
+        _bodyBox.max.y = _bodyBox.min.y;
+        _bodyBox.min.y -= SUPPORT_PROBE;
+        _bodyBox.expandByVector(_size.set(-0.01, 0, -0.01));
+
+        let supported = false;
+        this.forEachStaticBox((box) => {
+            supported = supported || _bodyBox.intersectsBox(box);
+        });
+        if (supported) return true;
+
+        return bodies.some((other) => other !== body && !other.held
+            && _bodyBox.intersectsBox(this.getBodyBox(other, _otherBox)));
+    }
+}
+
+export default PhysicsManager;
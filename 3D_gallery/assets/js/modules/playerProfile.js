@@ -0,0 +1,127 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Spielerprofil (Anzeigename und Avatar-Farben)
+ *
+ * Wird auf der Startseite gewählt, in localStorage gespeichert und in der Galerie
+ * beim Beitritt sowie bei Änderungen an den Server gesendet.
+ */
+
+const PROFILE_STORAGE_KEY = 'gallery-player-profile';
+
+// Standardfarben entsprechen denen von PersonManager.createPerson
+const DEFAULT_COLORS = {
+    hair: 0x8b4513,
+    skin: 0xfdbcb4,
+    pants: 0x2f4f4f
+};
+
+export function generatePlayerName() {
+    const adjectives = ['Swift', 'Brave', 'Clever', 'Bold', 'Quick', 'Smart', 'Cool', 'Epic'];
+    const nouns = ['Explorer', 'Visitor', 'Guest', 'Wanderer', 'Observer', 'Traveler'];
+
+    const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+    const noun = nouns[Math.floor(Math.random() * nouns.length)];
+
+    return `${adjective}${noun}`;
+}
+
+export function generateRandomColor() {
+    const colors = GALLERY_CONFIG.MULTIPLAYER.PLAYER_COLORS;
+    return colors[Math.floor(Math.random() * colors.length)];
+}
+
+function isColor(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+}
+
+/**
+ * Gespeichertes Profil laden, fehlende Werte werden zufällig bzw. mit Standardwerten ergänzt
+ */
+export function loadPlayerProfile() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Stored player profile is invalid, using defaults');
+    }
+
+    const colors = stored.colors || {};
+    return {
+        name: typeof stored.name === 'string' && stored.name.trim() ? stored.name.trim() : generatePlayerName(),
+        colors: {
+            clothing: isColor(colors.clothing) ? colors.clothing : generateRandomColor(),
+            hair: isColor(colors.hair) ? colors.hair : DEFAULT_COLORS.hair,
+            skin: isColor(colors.skin) ? colors.skin : DEFAULT_COLORS.skin,
+            pants: isColor(colors.pants) ? colors.pants : DEFAULT_COLORS.pants
+        }
+    };
+}
+
+export function savePlayerProfile(profile) {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+}
+
+/**
+ * Profil in die Optionen von PersonManager.createPerson übersetzen
+ */
+export function getPersonOptions(colors) {
+    return {
+        clothingColor: colors.clothing,
+        hairColor: colors.hair,
+        skinColor: colors.skin,
+        pantsColor: colors.pants
+    };
+}
+
+function colorToHex(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function hexToColor(hex) {
+    return parseInt(hex.replace('#', ''), 16);
+}
+
+/**
+ * Formular zur Profilauswahl (Startseite und Profil-Panel in der Galerie)
+ *
+ * Erwartet die Felder playerName, clothing, hair, skin und pants im Formular.
+ */
+export class ProfileForm {
+    constructor(form, onSubmit) {
+        this.form = form;
+        this.onSubmit = onSubmit;
+
+        this.form.elements.playerName.maxLength = GALLERY_CONFIG.MULTIPLAYER.NAME_MAX_LENGTH;
+        this.fill(loadPlayerProfile());
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+
+            const profile = this.read();
+            savePlayerProfile(profile);
+            this.onSubmit(profile);
+        });
+    }
+
+    fill(profile) {
+        const elements = this.form.elements;
+        elements.playerName.value = profile.name;
+        for (const part of ['clothing', 'hair', 'skin', 'pants']) {
+            elements[part].value = colorToHex(profile.colors[part]);
+        }
+    }
+
+    read() {
+        const elements = this.form.elements;
+        return {
+            name: elements.playerName.value.trim() || generatePlayerName(),
+            colors: {
+                clothing: hexToColor(elements.clothing.value),
+                hair: hexToColor(elements.hair.value),
+                skin: hexToColor(elements.skin.value),
+                pants: hexToColor(elements.pants.value)
+            }
+        };
+    }
+}
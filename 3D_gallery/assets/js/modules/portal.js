@@ -1,13 +1,32 @@
 import * as THREE from 'three';
 
 /**
- * Vereinfachtes Einweg-Portal-System
- * 
- * Erzeugt einen unendlichen Rekursionseffekt mit:
- * - Einem sichtbaren "Ansichts-Portal" (Rahmen zum Hineinschauen)
- * - Einem unsichtbaren "Referenzpunkt" (Position der virtuellen Kamera)
+ * Portal-System mit verknüpften, begehbaren Portalen
+ *
+ * Jedes Portal zeigt durch seine Vorderseite die Szene hinter seinem Zielportal
+ * (virtuelle Kamera mit Stencil-Buffer und schrägem Near-Plane-Clipping).
+ * Wer die Portalebene von vorne durchquert, wird mit derselben Transformation
+ * zum Zielportal versetzt und tritt dort aus dessen Vorderseite heraus.
+ *
+ * Stencil-Werte: die oberen Bits nummerieren die sichtbaren Portale eines Frames,
+ * die unteren Bits die Rekursionsebene innerhalb eines Portals (0 = Hauptansicht).
+ *
+ * Die Materialien der Szene bleiben unangetastet: der Stencil-Test für Szenen-Renders
+ * wird direkt im Renderer-State gesetzt und gesperrt (wie beim MaskPass). Masken-
+ * Materialien werden je Rekursionsebene einmal erzeugt, die Aufwände pro Frame
+ * wachsen damit nur mit den sichtbaren Portalansichten, nicht mit der Szenengröße.
+ *
+ * Ohne Stencil-Buffer (oder per GALLERY_CONFIG.PORTAL.MODE) rendert der Textur-Modus
+ * jede Ebene in ein Render-Target, das die Portalfläche mit Bildschirm-UVs zeigt.
+ * Die Rekursion läuft von der tiefsten Ebene aus über zwei Targets im Wechsel.
  */
 
+const STENCIL_LEVEL_BITS = 3;
+const STENCIL_LEVEL_MASK = (1 << STENCIL_LEVEL_BITS) - 1;
+const MAX_VISIBLE_PORTALS = (0xff >> STENCIL_LEVEL_BITS);
+export const MAX_RECURSION_DEPTH = STENCIL_LEVEL_MASK + 1;
+export const PORTAL_MODES = ['auto', 'stencil', 'texture'];
+
 // Wiederverwendbare Mathe-Objekte
 const _m = new THREE.Matrix4();
 const _mInv = new THREE.Matrix4();
@@ -18,18 +37,68 @@ const _q = new THREE.Vector4();
 const _c = new THREE.Vector4();
 const _invProj = new THREE.Matrix4();
 const _tempVec3 = new THREE.Vector3();
+const _localPoint = new THREE.Vector3();
+const _frustum = new THREE.Frustum();
+const _projScreen = new THREE.Matrix4();
+const _bufferSize = new THREE.Vector2();
+
+// Schreibt die Tiefe der fernen Clipping-Ebene (leert den Tiefenbuffer nur unter der Maske)
+const depthClearShader = {
+    vertexShader: `
+        void main() {
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            gl_Position.z = gl_Position.w;
+        }
+    `,
+    fragmentShader: `
+        void main() {
+            gl_FragColor = vec4(0.0);
+        }
+    `
+};
+
+// Zeigt das Render-Target an der Bildschirmposition des Fragments
+const portalTextureShader = {
+    vertexShader: `
+        void main() {
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D map;
+        uniform vec2 resolution;
+
+        void main() {
+            gl_FragColor = texture2D(map, gl_FragCoord.xy / resolution);
+
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+/**
+ * Transformation vom Raum vor einem Portal in den Raum hinter dem Zielportal
+ *
+ * Vorderseite des Portals entspricht der Rückseite des Ziels (180° gedreht).
+ */
+function getPortalTransform(portal, out) {
+    portal.mesh.updateMatrixWorld(true);
+    portal.target.mesh.updateMatrixWorld(true);
+
+    out.copy(portal.target.mesh.matrixWorld);
+    out.multiply(_rotY180);
+    out.multiply(_mInv.copy(portal.mesh.matrixWorld).invert());
+    return out;
+}
 
 /**
  * Virtuelle Kamerapose für Portal-Ansicht berechnen
  */
-function updatePortalCamera(mainCamera, viewPortal, referencePoint, portalCamera) {
-    viewPortal.updateMatrixWorld(true);
-    referencePoint.updateMatrixWorld(true);
+function updatePortalCamera(mainCamera, portal, portalCamera) {
     mainCamera.updateMatrixWorld(true);
 
-    _m.copy(referencePoint.matrixWorld);
-    _m.multiply(_rotY180);
-    _m.multiply(_mInv.copy(viewPortal.matrixWorld).invert());
+    getPortalTransform(portal, _m);
     _m.multiply(mainCamera.matrixWorld);
 
     portalCamera.matrixWorld.copy(_m);
@@ -99,7 +168,14 @@ function getPlaneFromObject(object) {
 }
 
 /**
- * Einweg-Portal-Manager
+ * Stencil-Wert der Ansicht eines Portals auf einer Rekursionsebene
+ */
+function getStencilValue(slot, level) {
+    return (slot << STENCIL_LEVEL_BITS) | level;
+}
+
+/**
+ * Portal-Manager für beliebig viele verknüpfte Portale
  */
 export class PortalManager {
     constructor(renderer, scene, mainCamera, options = {}) {
@@ -107,31 +183,84 @@ export class PortalManager {
         this.scene = scene;
         this.mainCamera = mainCamera;
 
-        this.recursionDepth = options.recursionDepth || 3;
+        // Portalansichten pro Frame über alle Portale (hält die Frame-Zeit begrenzt)
+        this.recursionBudget = options.recursionBudget || 8;
         this.enabled = options.enabled !== false;
+        this.debugMode = options.debugMode === true;
+        this.mode = this._resolveMode(options.mode || 'auto');
+        this.activeMode = null;
+        this.warnings = new Set();
 
-        this.viewPortal = null;
-        this.referencePoint = null;
-        this.frameMesh = null;
+        // Portale: { id, mesh, frame, maskScene, mask, originalMaterial, width, height, recursionDepth, target }
+        // Textur-Modus zusätzlich: { textureMaterial, renderTargets } (bei Bedarf erzeugt)
+        this.portals = [];
 
-        // Portal-Kameras für jede Rekursionsebene
+        // Portal-Kameras je Rekursionsebene (bei Bedarf erzeugt)
         this.portalCameras = [];
-        for (let i = 0; i < this.recursionDepth; i++) {
-            const cam = new THREE.PerspectiveCamera();
-            cam.layers.enableAll();
-            this.portalCameras.push(cam);
-        }
 
-        this.helperScene = new THREE.Scene();
-        this._checkStencilBuffer();
+        // Masken-Materialien je Rekursionsebene (bei Bedarf erzeugt, nur stencilRef wechselt)
+        this.maskWriteMaterials = [];
+        this.maskRestoreMaterials = [];
+        this.depthClearMaterial = null;
+
+        // Draw-Calls des letzten Frames: Hauptansicht, Szene je Rekursionsebene, Stencil-Masken
+        this.stats = { main: 0, levels: [], masks: 0 };
+        this.lastStatsLog = 0;
     }
 
-    _checkStencilBuffer() {
-        const gl = this.renderer.getContext();
-        const attrs = gl.getContextAttributes();
-        if (!attrs.stencil) {
-            console.warn('PortalManager: WebGL context missing stencil buffer');
+    /**
+     * Stencil-Buffer des tatsächlichen Ziels: Render-Target oder Canvas (null)
+     */
+    _hasStencilBuffer(renderTarget) {
+        if (renderTarget) return renderTarget.stencilBuffer === true;
+
+        const attrs = this.renderer.getContext().getContextAttributes();
+        return Boolean(attrs && attrs.stencil);
+    }
+
+    /**
+     * Konfigurierten Modus prüfen, aufgelöst wird 'auto' erst je Ziel in _getRenderMode
+     */
+    _resolveMode(mode) {
+        if (!PORTAL_MODES.includes(mode)) {
+            console.warn(`PortalManager: unknown mode "${mode}", using auto`);
+            return 'auto';
         }
+        return mode;
+    }
+
+    /**
+     * Render-Modus für ein Ziel: 'auto' nimmt Stencil, wenn das Ziel einen Stencil-Buffer hat
+     */
+    _getRenderMode(renderTarget) {
+        const hasStencil = this._hasStencilBuffer(renderTarget);
+        const warning = renderTarget ? 'render target' : 'WebGL context';
+
+        if (this.mode === 'auto') {
+            if (!hasStencil) {
+                this._warnOnce(`PortalManager: ${warning} missing stencil buffer, using render-to-texture portals`);
+            }
+            return hasStencil ? 'stencil' : 'texture';
+        }
+
+        if (this.mode === 'stencil' && !hasStencil) {
+            this._warnOnce(`PortalManager: ${warning} missing stencil buffer`);
+        }
+        return this.mode;
+    }
+
+    _warnOnce(message) {
+        if (this.warnings.has(message)) return;
+        this.warnings.add(message);
+        console.warn(message);
+    }
+
+    /**
+     * Tatsächlicher Modus für ein Ziel (Standard: Modus des letzten Frames bzw. des Canvas)
+     */
+    getMode(renderTarget) {
+        if (renderTarget !== undefined) return this._getRenderMode(renderTarget);
+        return this.activeMode || this._getRenderMode(null);
     }
 
     /**
@@ -192,183 +321,503 @@ export class PortalManager {
     }
 
     /**
-     * Referenzpunkt erstellen
+     * Portale aus der Registry erstellen, zur Szene hinzufügen und mit ihren Zielen verknüpfen
+     *
+     * @param {PortalRegistry} registry
+     * @returns {Array} die neuen Portale
      */
-    createReferencePoint(position, rotation) {
-        const ref = new THREE.Object3D();
-        ref.position.copy(position);
-        ref.rotation.copy(rotation);
-        ref.updateMatrixWorld(true);
-        return ref;
+    createPortals(registry) {
+        const created = registry.getDefinitions().map((definition) => {
+            const { portalMesh, frameMesh } = this.createViewPortal(
+                definition.width,
+                definition.height,
+                definition.position,
+                definition.rotation,
+                {
+                    portalColor: definition.color,
+                    frameColor: definition.frameColor,
+                    frameWidth: definition.frameWidth
+                }
+            );
+            portalMesh.name = `portal_${definition.id}`;
+            portalMesh.updateMatrixWorld(true);
+
+            this.scene.add(portalMesh);
+            this.scene.add(frameMesh);
+
+            // Eigene Mini-Szene für die Stencil-Maske (teilt die Geometrie mit dem Portal)
+            const mask = new THREE.Mesh(portalMesh.geometry);
+            mask.matrixAutoUpdate = false;
+            const maskScene = new THREE.Scene();
+            maskScene.add(mask);
+
+            return {
+                id: definition.id,
+                mesh: portalMesh,
+                frame: frameMesh,
+                maskScene,
+                mask,
+                originalMaterial: portalMesh.material,
+                width: definition.width,
+                height: definition.height,
+                recursionDepth: Math.min(definition.recursionDepth, MAX_RECURSION_DEPTH),
+                targetId: definition.target,
+                target: null
+            };
+        });
+
+        this.portals.push(...created);
+        for (const portal of created) {
+            portal.target = this.getPortal(portal.targetId);
+            delete portal.targetId;
+        }
+
+        return created;
     }
 
-    /**
-     * Einweg-Portal einrichten
-     */
-    setupPortal(viewPortalMesh, referencePoint, frameMesh = null) {
-        this.viewPortal = viewPortalMesh;
-        this.referencePoint = referencePoint;
-        this.frameMesh = frameMesh;
-        this.originalMaterial = viewPortalMesh.material;
+    getPortal(id) {
+        return this.portals.find((portal) => portal.id === id) || null;
+    }
 
-        this.scene.add(referencePoint);
+    getPortals() {
+        return this.portals;
     }
 
-    isPointInFrontOfPortal(point) {
-        const plane = getPlaneFromObject(this.viewPortal);
+    isPointInFrontOfPortal(portal, point) {
+        const plane = getPlaneFromObject(portal.mesh);
         return plane.distanceToPoint(point) > 0;
     }
 
-    getReferencePlane() {
-        return getPlaneFromObject(this.referencePoint);
+    getTargetPlane(portal) {
+        return getPlaneFromObject(portal.target.mesh);
     }
 
-    _setSceneStencilTest(ref, func) {
-        this.scene.traverse((obj) => {
-            if (obj.material) {
-                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
-                for (const mat of materials) {
-                    mat.stencilWrite = true;
-                    mat.stencilRef = ref;
-                    mat.stencilFunc = func;
-                    mat.stencilFail = THREE.KeepStencilOp;
-                    mat.stencilZFail = THREE.KeepStencilOp;
-                    mat.stencilZPass = THREE.KeepStencilOp;
-                }
+    /**
+     * Portal, dessen Fläche die Bewegung from -> to von vorne durchquert (sonst null)
+     */
+    findCrossedPortal(from, to) {
+        for (const portal of this.portals) {
+            if (!portal.target) continue;
+
+            const plane = getPlaneFromObject(portal.mesh);
+            const before = plane.distanceToPoint(from);
+            const after = plane.distanceToPoint(to);
+            if (before <= 0 || after > 0) continue;
+
+            // Schnittpunkt mit der Ebene muss innerhalb der Portalfläche liegen
+            const t = before / (before - after);
+            _localPoint.lerpVectors(from, to, t);
+            portal.mesh.worldToLocal(_localPoint);
+            if (Math.abs(_localPoint.x) <= portal.width / 2 && Math.abs(_localPoint.y) <= portal.height / 2) {
+                return portal;
             }
-        });
+        }
+        return null;
     }
 
-    _clearSceneStencilTest() {
-        this.scene.traverse((obj) => {
-            if (obj.material) {
-                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
-                for (const mat of materials) {
-                    mat.stencilWrite = false;
-                }
+    /**
+     * Transformation für Objekte, die das Portal durchqueren
+     */
+    getTeleportMatrix(portal, out = new THREE.Matrix4()) {
+        return getPortalTransform(portal, out);
+    }
+
+    /**
+     * Stencil-Test für alle folgenden Szenen-Renders festlegen
+     *
+     * Materialien ohne stencilWrite können den gesperrten State nicht überschreiben.
+     */
+    _lockSceneStencilTest(ref) {
+        const gl = this.renderer.getContext();
+        const stencil = this.renderer.state.buffers.stencil;
+
+        stencil.setTest(true);
+        stencil.setFunc(gl.EQUAL, ref, 0xff);
+        stencil.setOp(gl.KEEP, gl.KEEP, gl.KEEP);
+        stencil.setLocked(true);
+    }
+
+    _unlockSceneStencilTest() {
+        const stencil = this.renderer.state.buffers.stencil;
+
+        stencil.setLocked(false);
+        stencil.setTest(false);
+    }
+
+    /**
+     * Material, das die Portalform auf einer Ebene in den Stencil-Buffer schreibt
+     *
+     * Ebene 0 ersetzt die Hauptansicht (Ebenen-Bits 0) durch die Portalnummer,
+     * tiefere Ebenen zählen hoch.
+     */
+    _getMaskWriteMaterial(level) {
+        if (!this.maskWriteMaterials[level]) {
+            const material = new THREE.MeshBasicMaterial({
+                colorWrite: false,
+                depthWrite: false
+            });
+            material.stencilWrite = true;
+            material.stencilFunc = THREE.EqualStencilFunc;
+            material.stencilFail = THREE.KeepStencilOp;
+            material.stencilZFail = THREE.KeepStencilOp;
+            if (level === 0) {
+                material.stencilFuncMask = STENCIL_LEVEL_MASK;
+                material.stencilZPass = THREE.ReplaceStencilOp;
+            } else {
+                material.stencilZPass = THREE.IncrementWrapStencilOp;
             }
-        });
+            this.maskWriteMaterials[level] = material;
+        }
+        return this.maskWriteMaterials[level];
+    }
+
+    /**
+     * Material, das den Tiefenbuffer nur innerhalb der Portalansicht leert
+     *
+     * Ein vollständiges clearDepth() würde die wiederhergestellte Tiefe bereits
+     * gerenderter Portale löschen, die Hauptansicht überdeckte dann deren Inhalt.
+     */
+    _getDepthClearMaterial() {
+        if (!this.depthClearMaterial) {
+            const material = new THREE.ShaderMaterial({
+                vertexShader: depthClearShader.vertexShader,
+                fragmentShader: depthClearShader.fragmentShader,
+                colorWrite: false,
+                depthWrite: true,
+                depthFunc: THREE.AlwaysDepth
+            });
+            material.stencilWrite = true;
+            material.stencilFunc = THREE.EqualStencilFunc;
+            material.stencilFail = THREE.KeepStencilOp;
+            material.stencilZFail = THREE.KeepStencilOp;
+            material.stencilZPass = THREE.KeepStencilOp;
+            this.depthClearMaterial = material;
+        }
+        return this.depthClearMaterial;
     }
 
-    _renderPortalLevel(level, viewCamera) {
-        if (level >= this.recursionDepth) return;
-        if (!this.viewPortal || !this.referencePoint) return;
+    /**
+     * Material, das den Tiefenbuffer der Portalfläche wiederherstellt und den
+     * Stencil auf die Ebene darüber zurücksetzt
+     */
+    _getMaskRestoreMaterial(level) {
+        if (!this.maskRestoreMaterials[level]) {
+            const material = new THREE.MeshBasicMaterial({
+                colorWrite: false,
+                depthWrite: true
+            });
+            material.stencilWrite = true;
+            material.stencilFunc = THREE.EqualStencilFunc;
+            material.stencilFail = THREE.KeepStencilOp;
+            material.stencilZFail = THREE.KeepStencilOp;
+            material.stencilZPass = level === 0 ? THREE.ZeroStencilOp : THREE.DecrementWrapStencilOp;
+            this.maskRestoreMaterials[level] = material;
+        }
+        return this.maskRestoreMaterials[level];
+    }
 
-        const stencilRef = level + 1;
-        const portalCam = this.portalCameras[level];
+    /**
+     * Stencil-Maske eines Portals mit dem angegebenen Material rendern
+     */
+    _renderPortalMask(portal, camera, material, stencilRef) {
+        material.stencilRef = stencilRef;
 
-        // Schritt 1: Portal-Form in Stencil-Buffer schreiben
-        const stencilWriterMat = new THREE.MeshBasicMaterial({
-            colorWrite: false,
-            depthWrite: false
-        });
-        stencilWriterMat.stencilWrite = true;
-        stencilWriterMat.stencilRef = level;
-        stencilWriterMat.stencilFunc = THREE.EqualStencilFunc;
-        stencilWriterMat.stencilFail = THREE.KeepStencilOp;
-        stencilWriterMat.stencilZFail = THREE.KeepStencilOp;
-        stencilWriterMat.stencilZPass = THREE.IncrementWrapStencilOp;
+        portal.mask.material = material;
+        portal.mask.matrix.copy(portal.mesh.matrixWorld);
+        portal.mask.matrixWorldNeedsUpdate = true;
 
-        this.viewPortal.material = stencilWriterMat;
-        this.viewPortal.visible = true;
+        this.stats.masks += this._renderCounted(portal.maskScene, camera);
+    }
 
-        this.helperScene.add(this.viewPortal);
-        this.renderer.render(this.helperScene, viewCamera);
-        this.helperScene.remove(this.viewPortal);
+    /**
+     * Rendern und die dabei angefallenen Draw-Calls zurückgeben
+     */
+    _renderCounted(scene, camera) {
+        const info = this.renderer.info;
+        const before = info.autoReset ? 0 : info.render.calls;
 
-        this.viewPortal.material = this.originalMaterial;
-        this.scene.add(this.viewPortal);
-        stencilWriterMat.dispose();
+        this.renderer.render(scene, camera);
+        return info.render.calls - before;
+    }
 
-        // Schritt 2: Virtuelle Kamera berechnen
-        updatePortalCamera(viewCamera, this.viewPortal, this.referencePoint, portalCam);
+    _getPortalCamera(level) {
+        while (this.portalCameras.length <= level) {
+            const cam = new THREE.PerspectiveCamera();
+            cam.layers.enableAll();
+            this.portalCameras.push(cam);
+        }
+        return this.portalCameras[level];
+    }
 
-        // Schritt 3: Schräges Clipping anwenden
-        const refPlane = this.getReferencePlane();
-        applyObliqueClipping(portalCam, refPlane);
+    /**
+     * Eine Rekursionsebene eines Portals rendern
+     *
+     * @param {number} slot Stencil-Nummer des Portals in diesem Frame
+     * @param {number} depth Erlaubte Ebenen für dieses Portal
+     * @returns {number} Anzahl gerenderter Ebenen
+     */
+    _renderPortalLevel(level, viewCamera, portal, slot, depth) {
+        if (level >= depth) return 0;
 
-        // Schritt 4: Tiefenbuffer leeren und Szene durch Portal rendern
-        this.renderer.clearDepth();
+        const stencilRef = getStencilValue(slot, level);
+        const portalCam = this._getPortalCamera(level);
 
-        this.viewPortal.visible = false;
+        // Schritt 1: Portal-Form in Stencil-Buffer schreiben
+        this._renderPortalMask(portal, viewCamera, this._getMaskWriteMaterial(level),
+            level === 0 ? stencilRef : stencilRef - 1);
+
+        // Schritt 2: Virtuelle Kamera hinter dem Zielportal berechnen
+        updatePortalCamera(viewCamera, portal, portalCam);
+
+        // Schritt 3: Schräges Clipping an der Ebene des Zielportals
+        applyObliqueClipping(portalCam, this.getTargetPlane(portal));
+
+        // Schritt 4: Tiefenbuffer unter der Portalansicht leeren und Szene durch Portal rendern
+        this._renderPortalMask(portal, viewCamera, this._getDepthClearMaterial(), stencilRef);
+
+        // Beide Portalflächen würden die Sicht sonst verdecken
+        portal.mesh.visible = false;
+        portal.target.mesh.visible = false;
 
-        this._setSceneStencilTest(stencilRef, THREE.EqualStencilFunc);
-        this.renderer.render(this.scene, portalCam);
-        this._clearSceneStencilTest();
+        this._lockSceneStencilTest(stencilRef);
+        const drawCalls = this._renderCounted(this.scene, portalCam);
+        this._unlockSceneStencilTest();
+        this.stats.levels[level] = (this.stats.levels[level] || 0) + drawCalls;
 
-        this.viewPortal.visible = true;
+        portal.mesh.visible = true;
+        portal.target.mesh.visible = true;
 
         // Schritt 5: Rekursion für verschachtelte Ansichten
-        if (level + 1 < this.recursionDepth) {
-            if (this.isPointInFrontOfPortal(portalCam.position)) {
-                this._renderPortalLevel(level + 1, portalCam);
+        let renderedLevels = 1;
+        if (level + 1 < depth && this.isPointInFrontOfPortal(portal, portalCam.position)) {
+            renderedLevels += this._renderPortalLevel(level + 1, portalCam, portal, slot, depth);
+        }
+
+        // Schritt 6: Tiefenbuffer wiederherstellen und Stencil auf die Ebene darüber zurücksetzen
+        this._renderPortalMask(portal, viewCamera, this._getMaskRestoreMaterial(level), stencilRef);
+
+        return renderedLevels;
+    }
+
+    /**
+     * Material und Render-Targets eines Portals für den Textur-Modus
+     */
+    _getTextureResources(portal, width, height) {
+        if (!portal.textureMaterial) {
+            portal.textureMaterial = new THREE.ShaderMaterial({
+                uniforms: {
+                    map: { value: null },
+                    resolution: { value: new THREE.Vector2() }
+                },
+                vertexShader: portalTextureShader.vertexShader,
+                fragmentShader: portalTextureShader.fragmentShader
+            });
+            portal.renderTargets = [0, 1].map(() => new THREE.WebGLRenderTarget(width, height, {
+                type: THREE.HalfFloatType
+            }));
+        }
+
+        for (const target of portal.renderTargets) {
+            if (target.width !== width || target.height !== height) {
+                target.setSize(width, height);
             }
         }
+        portal.textureMaterial.uniforms.resolution.value.set(width, height);
 
-        // Schritt 6: Tiefenbuffer wiederherstellen
-        const depthOnlyMat = new THREE.MeshBasicMaterial({
-            colorWrite: false,
-            depthWrite: true
-        });
-        depthOnlyMat.stencilWrite = true;
-        depthOnlyMat.stencilRef = stencilRef;
-        depthOnlyMat.stencilFunc = THREE.EqualStencilFunc;
-        depthOnlyMat.stencilFail = THREE.KeepStencilOp;
-        depthOnlyMat.stencilZFail = THREE.KeepStencilOp;
-        depthOnlyMat.stencilZPass = THREE.DecrementWrapStencilOp;
+        return portal;
+    }
+
+    /**
+     * Kamerakette eines Portals aufbauen (Ebene 0 sieht von der Hauptkamera aus hindurch)
+     *
+     * @returns {number} Anzahl der Ebenen
+     */
+    _updatePortalCameraChain(portal, depth) {
+        let viewCamera = this.mainCamera;
+        let levels = 0;
+
+        while (levels < depth) {
+            const portalCam = this._getPortalCamera(levels);
+            updatePortalCamera(viewCamera, portal, portalCam);
+            applyObliqueClipping(portalCam, this.getTargetPlane(portal));
+            levels++;
+
+            if (!this.isPointInFrontOfPortal(portal, portalCam.position)) break;
+            viewCamera = portalCam;
+        }
+        return levels;
+    }
+
+    /**
+     * Alle Ebenen eines Portals in seine Render-Targets rendern, tiefste zuerst
+     *
+     * Jede Ebene zeigt auf der Portalfläche die Ebene darunter aus dem anderen
+     * Target, die tiefste nur die Portalfarbe. Ergebnis liegt in renderTargets[0].
+     *
+     * @returns {number} Anzahl gerenderter Ebenen
+     */
+    _renderPortalTexture(portal, depth) {
+        const levels = this._updatePortalCameraChain(portal, depth);
+        const { textureMaterial, renderTargets } = portal;
+
+        // Zielportal würde die Sicht verdecken
+        portal.target.mesh.visible = false;
+
+        for (let level = levels - 1; level >= 0; level--) {
+            if (level === levels - 1) {
+                portal.mesh.material = portal.originalMaterial;
+            } else {
+                textureMaterial.uniforms.map.value = renderTargets[(level + 1) % 2].texture;
+                portal.mesh.material = textureMaterial;
+            }
+
+            this.renderer.setRenderTarget(renderTargets[level % 2]);
+            const drawCalls = this._renderCounted(this.scene, this._getPortalCamera(level));
+            this.stats.levels[level] = (this.stats.levels[level] || 0) + drawCalls;
+        }
+
+        portal.target.mesh.visible = true;
+        portal.mesh.material = portal.originalMaterial;
+
+        return levels;
+    }
+
+    /**
+     * Textur-Modus: Portalansichten in Render-Targets, danach Hauptansicht mit Portal-Texturen
+     */
+    _renderTextureMode(visiblePortals, renderTarget) {
+        this.renderer.getDrawingBufferSize(_bufferSize);
+        const width = Math.max(1, Math.floor(_bufferSize.x));
+        const height = Math.max(1, Math.floor(_bufferSize.y));
+
+        const renderedPortals = [];
+        let budget = this.recursionBudget;
+        for (const portal of visiblePortals) {
+            if (budget <= 0) break;
+
+            this._getTextureResources(portal, width, height);
+            budget -= this._renderPortalTexture(portal, Math.min(portal.recursionDepth, budget));
+            renderedPortals.push(portal);
+        }
 
-        this.viewPortal.material = depthOnlyMat;
-        this.viewPortal.visible = true;
+        for (const portal of renderedPortals) {
+            portal.textureMaterial.uniforms.map.value = portal.renderTargets[0].texture;
+            portal.mesh.material = portal.textureMaterial;
+        }
 
-        this.helperScene.add(this.viewPortal);
-        this.renderer.render(this.helperScene, viewCamera);
-        this.helperScene.remove(this.viewPortal);
+        this.renderer.setRenderTarget(renderTarget);
+        this.stats.main = this._renderCounted(this.scene, this.mainCamera);
 
-        this.viewPortal.material = this.originalMaterial;
-        this.scene.add(this.viewPortal);
-        depthOnlyMat.dispose();
+        for (const portal of renderedPortals) {
+            portal.mesh.material = portal.originalMaterial;
+        }
+    }
+
+    /**
+     * Liegt die Portalfläche im Sichtfeld der Kamera?
+     */
+    isPortalOnScreen(portal, camera) {
+        camera.updateMatrixWorld(true);
+        _projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _frustum.setFromProjectionMatrix(_projScreen);
+        return _frustum.intersectsObject(portal.mesh);
+    }
+
+    /**
+     * Portale, durch die die Hauptkamera in diesem Frame blickt, nächstes zuerst
+     *
+     * Übersprungen werden Portale ohne Ziel, von hinten gesehene und solche außerhalb des Bildes.
+     */
+    getVisiblePortals() {
+        const cameraPosition = this.mainCamera.position;
+
+        return this.portals
+            .filter((portal) => portal.target
+                && this.isPointInFrontOfPortal(portal, cameraPosition)
+                && this.isPortalOnScreen(portal, this.mainCamera))
+            .sort((a, b) => a.mesh.position.distanceToSquared(cameraPosition) - b.mesh.position.distanceToSquared(cameraPosition))
+            .slice(0, MAX_VISIBLE_PORTALS);
     }
 
     /**
      * Haupt-Rendermethode
+     *
+     * @param {THREE.WebGLRenderTarget|null} renderTarget Ziel (z.B. Composer-Puffer mit
+     *        Stencil-Buffer), null für den Bildschirm
      */
-    render() {
-        if (!this.enabled || !this.viewPortal || !this.referencePoint) {
-            this.renderer.render(this.scene, this.mainCamera);
+    render(renderTarget = null) {
+        this.renderer.setRenderTarget(renderTarget);
+        this.activeMode = this._getRenderMode(renderTarget);
+        this.stats.main = 0;
+        this.stats.levels.length = 0;
+        this.stats.masks = 0;
+
+        const visiblePortals = this.enabled ? this.getVisiblePortals() : [];
+
+        if (visiblePortals.length === 0) {
+            this.stats.main = this._renderCounted(this.scene, this.mainCamera);
+            this._logStats();
             return;
         }
 
-        if (!this.isPointInFrontOfPortal(this.mainCamera.position)) {
-            this.renderer.render(this.scene, this.mainCamera);
+        if (this.activeMode === 'texture') {
+            this._renderTextureMode(visiblePortals, renderTarget);
+            this._logStats();
             return;
         }
 
         this.renderer.autoClear = false;
         this.renderer.clear(true, true, true);
 
-        this._renderPortalLevel(0, this.mainCamera);
+        // Nahe Portale zuerst; ist das Budget aufgebraucht, bleiben weitere Portale einfarbig
+        const renderedPortals = [];
+        let budget = this.recursionBudget;
+        visiblePortals.forEach((portal, index) => {
+            if (budget <= 0) return;
 
-        this._setSceneStencilTest(0, THREE.EqualStencilFunc);
+            const depth = Math.min(portal.recursionDepth, budget);
+            budget -= this._renderPortalLevel(0, this.mainCamera, portal, index + 1, depth);
+            renderedPortals.push(portal);
+        });
+
+        // Hauptansicht nur dort, wo kein Portal gezeichnet wurde
+        this._lockSceneStencilTest(0);
 
-        this.viewPortal.visible = false;
-        this.renderer.render(this.scene, this.mainCamera);
-        this.viewPortal.visible = true;
+        for (const portal of renderedPortals) portal.mesh.visible = false;
+        this.stats.main = this._renderCounted(this.scene, this.mainCamera);
+        for (const portal of renderedPortals) portal.mesh.visible = true;
 
-        this._clearSceneStencilTest();
+        this._unlockSceneStencilTest();
 
         this.renderer.autoClear = true;
+        this._logStats();
     }
 
-    setRecursionDepth(depth) {
-        const newDepth = Math.max(1, Math.min(10, depth));
+    /**
+     * Draw-Calls des letzten Frames: { main, levels: [je Rekursionsebene], masks }
+     * (im Textur-Modus ohne Masken)
+     */
+    getStats() {
+        return {
+            main: this.stats.main,
+            levels: this.stats.levels.slice(),
+            masks: this.stats.masks
+        };
+    }
 
-        while (this.portalCameras.length < newDepth) {
-            const cam = new THREE.PerspectiveCamera();
-            cam.layers.enableAll();
-            this.portalCameras.push(cam);
-        }
+    _logStats() {
+        if (!this.debugMode) return;
+
+        const now = performance.now();
+        if (now - this.lastStatsLog < 1000) return;
+        this.lastStatsLog = now;
 
-        this.recursionDepth = newDepth;
+        const { main, levels, masks } = this.stats;
+        console.log(`Portal draw calls: main=${main}, levels=[${levels.join(', ')}], masks=${masks}`);
+    }
+
+    setRecursionBudget(budget) {
+        this.recursionBudget = Math.max(1, budget);
     }
 
     setEnabled(enabled) {
@@ -380,20 +829,26 @@ export class PortalManager {
     }
 
     hasPortal() {
-        return this.viewPortal !== null && this.referencePoint !== null;
+        return this.portals.length > 0;
     }
 
     dispose() {
-        if (this.viewPortal) {
-            this.scene.remove(this.viewPortal);
-        }
-        if (this.referencePoint) {
-            this.scene.remove(this.referencePoint);
+        for (const portal of this.portals) {
+            this.scene.remove(portal.mesh);
+            this.scene.remove(portal.frame);
+            if (portal.textureMaterial) {
+                portal.textureMaterial.dispose();
+                portal.renderTargets.forEach((target) => target.dispose());
+            }
         }
-        if (this.frameMesh) {
-            this.scene.remove(this.frameMesh);
+        for (const material of [...this.maskWriteMaterials, ...this.maskRestoreMaterials, this.depthClearMaterial]) {
+            if (material) material.dispose();
         }
+        this.portals = [];
         this.portalCameras = [];
+        this.maskWriteMaterials = [];
+        this.maskRestoreMaterials = [];
+        this.depthClearMaterial = null;
     }
 }
 
@@ -0,0 +1,27 @@
+import { Pass } from 'three/addons/postprocessing/Pass.js';
+
+/**
+ * Composer-Pass, der die Szene samt Portalen rendert (ersetzt den RenderPass)
+ *
+ * PortalManager zeichnet mit Stencil-Buffer in den Lese-Puffer des EffectComposer,
+ * nachfolgende Passes wie Bloom wirken damit auch auf die Portalansichten.
+ * Die Render-Targets des Composers brauchen dafür einen Stencil-Buffer.
+ */
+export class PortalPass extends Pass {
+    constructor(portalManager) {
+        super();
+
+        this.portalManager = portalManager;
+        this.needsSwap = false;
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const oldAutoClear = renderer.autoClear;
+
+        this.portalManager.render(this.renderToScreen ? null : readBuffer);
+
+        renderer.autoClear = oldAutoClear;
+    }
+}
+
+export default PortalPass;
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Portal-Registry: Portale aus GALLERY_CONFIG.PORTAL.PORTALS
+ *
+ * Jedes Portal steht in einem Bereich des Layouts (offset von dessen Mitte) und
+ * verweist per target auf ein anderes Portal. Größe, Farben, Rahmen und
+ * Rekursionstiefe fallen auf die Standardwerte in GALLERY_CONFIG.PORTAL zurück.
+ */
+
+class PortalConfigError extends Error {
+    constructor(message) {
+        super(`Invalid portal config: ${message}`);
+        this.name = 'PortalConfigError';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(value, fallback, description) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new PortalConfigError(`${description} must be a finite number`);
+    }
+    return value;
+}
+
+function readPositive(value, fallback, description) {
+    const number = readNumber(value, fallback, description);
+    if (number <= 0) {
+        throw new PortalConfigError(`${description} must be greater than 0`);
+    }
+    return number;
+}
+
+export class PortalRegistry {
+    constructor(definitions, layout) {
+        if (!Array.isArray(definitions)) {
+            throw new PortalConfigError('PORTALS must be an array');
+        }
+
+        this.portals = new Map();
+        definitions.forEach((definition, index) => {
+            const portal = this.normalizePortal(definition, index, layout);
+            if (this.portals.has(portal.id)) {
+                throw new PortalConfigError(`duplicate portal id "${portal.id}"`);
+            }
+            this.portals.set(portal.id, portal);
+        });
+
+        // Ziele erst prüfen, wenn alle Portale bekannt sind
+        for (const portal of this.portals.values()) {
+            if (portal.target === null) continue;
+            if (portal.target === portal.id || !this.portals.has(portal.target)) {
+                throw new PortalConfigError(`portal "${portal.id}" targets unknown portal "${portal.target}"`);
+            }
+        }
+    }
+
+    normalizePortal(definition, index, layout) {
+        const description = `PORTALS[${index}]`;
+        if (!isPlainObject(definition) || typeof definition.id !== 'string' || !definition.id.trim()) {
+            throw new PortalConfigError(`${description} must be an object with an id`);
+        }
+
+        const id = definition.id.trim();
+        const area = layout.getArea(definition.area);
+        if (!area) {
+            throw new PortalConfigError(`portal "${id}" references unknown area "${definition.area}"`);
+        }
+        if (definition.target !== undefined && definition.target !== null && typeof definition.target !== 'string') {
+            throw new PortalConfigError(`portal "${id}".target must be a portal id`);
+        }
+
+        const defaults = GALLERY_CONFIG.PORTAL;
+        const offset = isPlainObject(definition.offset) ? definition.offset : {};
+        const width = readPositive(definition.width, defaults.WIDTH, `portal "${id}".width`);
+        const height = readPositive(definition.height, defaults.HEIGHT, `portal "${id}".height`);
+        const recursionDepth = readPositive(definition.recursionDepth, defaults.RECURSION_DEPTH, `portal "${id}".recursionDepth`);
+
+        return {
+            id,
+            area: area.id,
+            // Ohne elevation steht das Portal auf dem Boden
+            position: new THREE.Vector3(
+                area.center.x + readNumber(offset.x, 0, `portal "${id}".offset.x`),
+                readNumber(definition.elevation, height / 2, `portal "${id}".elevation`),
+                area.center.z + readNumber(offset.z, 0, `portal "${id}".offset.z`)
+            ),
+            rotation: new THREE.Euler(0, readNumber(definition.rotationY, 0, `portal "${id}".rotationY`), 0),
+            width,
+            height,
+            color: readNumber(definition.color, defaults.PORTAL_COLOR, `portal "${id}".color`),
+            frameColor: readNumber(definition.frameColor, defaults.FRAME_COLOR, `portal "${id}".frameColor`),
+            frameWidth: readNumber(definition.frameWidth, defaults.FRAME_WIDTH, `portal "${id}".frameWidth`),
+            recursionDepth: Math.round(recursionDepth),
+            target: definition.target ? definition.target.trim() : null
+        };
+    }
+
+    getDefinitions() {
+        return Array.from(this.portals.values());
+    }
+
+    get(id) {
+        return this.portals.get(id) || null;
+    }
+}
+
+export default PortalRegistry;
@@ -0,0 +1,178 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+import { ACTIONS } from './input.js';
+
+/**
+ * Einstellungsmenü zum Neubelegen der Tasten und für die Gamepad-Empfindlichkeit
+ *
+ * Klick auf eine Aktion wartet auf die nächste Taste, Escape bricht ab.
+ * Ist die Taste schon vergeben, werden beide Belegungen getauscht und ein Hinweis angezeigt.
+ */
+export class SettingsMenu {
+    constructor(inputManager, cameraManager, gamepadManager) {
+        this.input = inputManager;
+        this.camera = cameraManager;
+        this.gamepad = gamepadManager;
+        this.capturingAction = null;
+
+        this.panel = document.getElementById('settings-panel');
+        this.list = document.getElementById('settings-bindings');
+        this.notice = document.getElementById('settings-notice');
+
+        if (!this.panel || !this.list || !this.notice) {
+            console.warn('SettingsMenu: settings panel elements missing in gallery.html');
+            return;
+        }
+
+        this.buildRows();
+        this.setupGamepadSettings();
+        this.setupEventListeners();
+    }
+
+    buildRows() {
+        this.buttons = {};
+
+        for (const [action, label] of Object.entries(ACTIONS)) {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'key-binding';
+            button.addEventListener('click', () => this.startCapture(action));
+
+            row.append(name, button);
+            this.list.appendChild(row);
+            this.buttons[action] = button;
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Empfindlichkeit und Invertierung des rechten Sticks
+     */
+    setupGamepadSettings() {
+        this.sensitivityInput = document.getElementById('gamepad-sensitivity');
+        this.invertInput = document.getElementById('gamepad-invert');
+        if (!this.gamepad || !this.sensitivityInput || !this.invertInput) return;
+
+        this.sensitivityInput.min = GALLERY_CONFIG.GAMEPAD.MIN_SENSITIVITY;
+        this.sensitivityInput.max = GALLERY_CONFIG.GAMEPAD.MAX_SENSITIVITY;
+
+        this.sensitivityInput.addEventListener('input', () => {
+            this.gamepad.setSensitivity(parseFloat(this.sensitivityInput.value));
+        });
+        this.invertInput.addEventListener('change', () => {
+            this.gamepad.setInvertY(this.invertInput.checked);
+        });
+    }
+
+    setupEventListeners() {
+        // Eingaben im Panel nicht an Kamera- und Galerie-Steuerung weitergeben
+        this.panel.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            this.handleKeyDown(event);
+        });
+        this.panel.addEventListener('keyup', (event) => event.stopPropagation());
+        this.panel.addEventListener('mousedown', (event) => event.stopPropagation());
+
+        const resetButton = document.getElementById('settings-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.input.resetBindings();
+                this.showNotice('Standardbelegung wiederhergestellt');
+                this.refresh();
+            });
+        }
+
+        const closeButton = document.getElementById('settings-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+    }
+
+    handleKeyDown(event) {
+        if (!this.capturingAction) {
+            if (event.code === 'Escape') {
+                this.close();
+            }
+            return;
+        }
+
+        event.preventDefault();
+        const action = this.capturingAction;
+        this.capturingAction = null;
+
+        if (event.code === 'Escape') {
+            this.showNotice('');
+        } else if (this.input.isReserved(event.code)) {
+            this.showNotice(`${this.input.getKeyLabel(event.code)} kann nicht belegt werden`);
+        } else {
+            const swapped = this.input.rebind(action, event.code);
+            this.showNotice(swapped
+                ? `${this.input.getKeyLabel(event.code)} war "${ACTIONS[swapped]}" zugewiesen – "${ACTIONS[swapped]}" liegt jetzt auf ${this.input.getKeyLabel(this.input.getBinding(swapped))}`
+                : '');
+        }
+
+        this.refresh();
+    }
+
+    startCapture(action) {
+        this.capturingAction = action;
+        this.refresh();
+        this.buttons[action].textContent = 'Taste drücken…';
+        this.buttons[action].classList.add('capturing');
+        // Fokus auf dem Button, damit die nächste Taste im Panel ankommt
+        this.buttons[action].focus();
+    }
+
+    refresh() {
+        for (const [action, button] of Object.entries(this.buttons)) {
+            button.textContent = this.input.getKeyLabel(this.input.getBinding(action));
+            button.classList.remove('capturing');
+        }
+
+        if (this.gamepad && this.sensitivityInput && this.invertInput) {
+            const settings = this.gamepad.getSettings();
+            this.sensitivityInput.value = settings.sensitivity;
+            this.invertInput.checked = settings.invertY;
+        }
+    }
+
+    showNotice(message) {
+        this.notice.textContent = message;
+        this.notice.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Menü öffnen: Mauszeiger freigeben und Bewegung anhalten
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.camera.releaseKeys();
+        this.camera.unlockPointer();
+        this.capturingAction = null;
+        this.showNotice('');
+        this.refresh();
+        this.panel.classList.remove('hidden');
+        this.panel.focus();
+    }
+
+    close() {
+        if (!this.panel) return;
+
+        this.capturingAction = null;
+        this.panel.classList.add('hidden');
+        this.camera.lockPointer();
+    }
+
+    isOpen() {
+        return !!this.panel && !this.panel.classList.contains('hidden');
+    }
+}
+
+export default SettingsMenu;
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+/**
+ * Zeitgestempelter Snapshot-Puffer für entfernte Spieler
+ *
+ * Speichert empfangene Positionen/Rotationen und liefert für einen beliebigen
+ * Zeitpunkt einen interpolierten (bzw. kurz extrapolierten) Zustand.
+ */
+
+const _velocity = new THREE.Vector3();
+
+export class SnapshotBuffer {
+    constructor(maxSize = 30, extrapolationLimit = 250) {
+        this.maxSize = maxSize;
+        this.extrapolationLimit = extrapolationLimit; // ms
+        this.snapshots = [];
+    }
+
+    /**
+     * Snapshot hinzufügen (Zeit in ms, Position als Vector3, Y-Rotation in Radiant)
+     */
+    push(time, position, rotationY) {
+        const last = this.snapshots[this.snapshots.length - 1];
+
+        // Veraltete oder doppelte Pakete verwerfen
+        if (last && time <= last.time) return;
+
+        this.snapshots.push({
+            time,
+            position: position.clone(),
+            quaternion: new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DEFAULT_UP, rotationY)
+        });
+
+        if (this.snapshots.length > this.maxSize) {
+            this.snapshots.shift();
+        }
+    }
+
+    isEmpty() {
+        return this.snapshots.length === 0;
+    }
+
+    getLatestTime() {
+        return this.isEmpty() ? 0 : this.snapshots[this.snapshots.length - 1].time;
+    }
+
+    /**
+     * Zustand zum Zeitpunkt renderTime bestimmen
+     *
+     * Schreibt Position, Rotation und Geschwindigkeit (Einheiten/s) in target.
+     */
+    sample(renderTime, target) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return false;
+
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+
+        // Vor dem ältesten Snapshot: ältesten Zustand halten
+        if (snapshots.length === 1 || renderTime <= first.time) {
+            target.position.copy(first.position);
+            target.quaternion.copy(first.quaternion);
+            target.velocity.set(0, 0, 0);
+            return true;
+        }
+
+        // Nach dem neuesten Snapshot: kurz mit letzter Geschwindigkeit extrapolieren
+        if (renderTime >= last.time) {
+            const previous = snapshots[snapshots.length - 2];
+            this.computeVelocity(previous, last, _velocity);
+
+            const overshoot = renderTime - last.time;
+            if (overshoot > this.extrapolationLimit) {
+                // Paketverlust zu lang: stehen bleiben statt weiterzulaufen
+                target.position.copy(last.position).addScaledVector(_velocity, this.extrapolationLimit / 1000);
+                target.velocity.set(0, 0, 0);
+            } else {
+                target.position.copy(last.position).addScaledVector(_velocity, overshoot / 1000);
+                target.velocity.copy(_velocity);
+            }
+            target.quaternion.copy(last.quaternion);
+            return true;
+        }
+
+        // Dazwischen: umgebende Snapshots suchen und interpolieren
+        let index = snapshots.length - 1;
+        while (index > 0 && snapshots[index - 1].time > renderTime) {
+            index--;
+        }
+
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        const alpha = (renderTime - from.time) / (to.time - from.time);
+
+        target.position.lerpVectors(from.position, to.position, alpha);
+        target.quaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+        this.computeVelocity(from, to, target.velocity);
+        return true;
+    }
+
+    computeVelocity(from, to, target) {
+        const duration = (to.time - from.time) / 1000;
+        if (duration <= 0) return target.set(0, 0, 0);
+
+        return target.subVectors(to.position, from.position).divideScalar(duration);
+    }
+
+    clear() {
+        this.snapshots.length = 0;
+    }
+}
+
+export default SnapshotBuffer;
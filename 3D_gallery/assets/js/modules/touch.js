@@ -0,0 +1,166 @@
+import { GALLERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Touch-Steuerung für Tablets und Smartphones
+ *
+ * Linke Bildschirmhälfte: virtueller Joystick (erscheint dort, wo der Finger aufsetzt).
+ * Rechte Hälfte: Wischen dreht die Kamera. Dazu Buttons für Springen und Aufheben.
+ * Bewegung und Aktionen laufen über CameraManager bzw. InputManager.
+ */
+
+// Touch-Geräte ohne Maus (Tablets, Smartphones)
+const TOUCH_FIRST_QUERY = '(hover: none) and (pointer: coarse)';
+
+export class TouchControlsManager {
+    constructor(inputManager, cameraManager, intersect) {
+        this.input = inputManager;
+        this.camera = cameraManager;
+        this.intersect = intersect;
+        this.enabled = false;
+
+        // Aktive Finger je Bereich (pointerId)
+        this.movePointer = null;
+        this.moveOrigin = { x: 0, y: 0 };
+        this.lookPointer = null;
+        this.lookLast = { x: 0, y: 0 };
+
+        this.container = document.getElementById('touch-controls');
+        this.moveZone = document.getElementById('touch-move-zone');
+        this.lookZone = document.getElementById('touch-look-zone');
+        this.joystick = document.getElementById('touch-joystick');
+        this.knob = document.getElementById('touch-joystick-knob');
+
+        if (!this.container || !this.moveZone || !this.lookZone || !this.joystick || !this.knob) {
+            console.warn('TouchControlsManager: touch control elements missing in gallery.html');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.setupDetection();
+    }
+
+    /**
+     * Automatisch einschalten, sobald ein Touch-Gerät ohne Maus erkannt wird
+     */
+    setupDetection() {
+        const query = window.matchMedia(TOUCH_FIRST_QUERY);
+        this.setEnabled(query.matches);
+        query.addEventListener('change', (event) => this.setEnabled(event.matches));
+    }
+
+    setupEventListeners() {
+        // Joystick
+        this.moveZone.addEventListener('pointerdown', (event) => {
+            if (this.movePointer !== null) return;
+
+            this.movePointer = event.pointerId;
+            this.moveZone.setPointerCapture(event.pointerId);
+            this.moveOrigin = { x: event.clientX, y: event.clientY };
+            this.joystick.style.left = `${event.clientX}px`;
+            this.joystick.style.top = `${event.clientY}px`;
+            this.joystick.classList.remove('hidden');
+            this.updateJoystick(event);
+        });
+        this.moveZone.addEventListener('pointermove', (event) => {
+            if (event.pointerId === this.movePointer) this.updateJoystick(event);
+        });
+        this.moveZone.addEventListener('pointerup', (event) => this.endMove(event));
+        this.moveZone.addEventListener('pointercancel', (event) => this.endMove(event));
+
+        // Blick
+        this.lookZone.addEventListener('pointerdown', (event) => {
+            if (this.lookPointer !== null) return;
+
+            this.lookPointer = event.pointerId;
+            this.lookZone.setPointerCapture(event.pointerId);
+            this.lookLast = { x: event.clientX, y: event.clientY };
+        });
+        this.lookZone.addEventListener('pointermove', (event) => {
+            if (event.pointerId !== this.lookPointer) return;
+
+            const sensitivity = GALLERY_CONFIG.TOUCH.LOOK_SENSITIVITY;
+            this.camera.rotateView(
+                (event.clientX - this.lookLast.x) * sensitivity,
+                (event.clientY - this.lookLast.y) * sensitivity
+            );
+            this.lookLast = { x: event.clientX, y: event.clientY };
+        });
+        this.lookZone.addEventListener('pointerup', (event) => this.endLook(event));
+        this.lookZone.addEventListener('pointercancel', (event) => this.endLook(event));
+
+        // Buttons lösen dieselben Aktionen aus wie die Tasten
+        for (const button of this.container.querySelectorAll('[data-action]')) {
+            const action = button.dataset.action;
+            button.addEventListener('pointerdown', (event) => {
+                event.stopPropagation();
+                this.input.setActionState(action, true);
+            });
+            button.addEventListener('pointerup', () => this.input.setActionState(action, false));
+            button.addEventListener('pointercancel', () => this.input.setActionState(action, false));
+            button.addEventListener('pointerleave', () => this.input.setActionState(action, false));
+        }
+
+        // Emulierte Mausereignisse nicht an Pointer-Lock und Aufheben-Klick weitergeben
+        this.container.addEventListener('mousedown', (event) => event.stopPropagation());
+        this.container.addEventListener('click', (event) => event.stopPropagation());
+        this.container.addEventListener('contextmenu', (event) => event.preventDefault());
+    }
+
+    updateJoystick(event) {
+        const { JOYSTICK_RADIUS, DEAD_ZONE } = GALLERY_CONFIG.TOUCH;
+        let dx = event.clientX - this.moveOrigin.x;
+        let dy = event.clientY - this.moveOrigin.y;
+
+        // Knopf auf den Joystick-Rand begrenzen
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx *= JOYSTICK_RADIUS / distance;
+            dy *= JOYSTICK_RADIUS / distance;
+        }
+        this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+        const magnitude = Math.min(distance, JOYSTICK_RADIUS) / JOYSTICK_RADIUS;
+        if (magnitude < DEAD_ZONE) {
+            this.camera.setAnalogMovement(0, 0);
+        } else {
+            this.camera.setAnalogMovement(dx / JOYSTICK_RADIUS, dy / JOYSTICK_RADIUS);
+        }
+    }
+
+    endMove(event) {
+        if (event.pointerId !== this.movePointer) return;
+
+        this.movePointer = null;
+        this.camera.setAnalogMovement(0, 0);
+        this.knob.style.transform = '';
+        this.joystick.classList.add('hidden');
+    }
+
+    endLook(event) {
+        if (event.pointerId !== this.lookPointer) return;
+        this.lookPointer = null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.container.classList.toggle('hidden', !enabled);
+        document.body.classList.toggle('touch-mode', enabled);
+        this.camera.setTouchMode(enabled);
+        this.intersect.setTouchMode(enabled);
+
+        if (!enabled) {
+            this.movePointer = null;
+            this.lookPointer = null;
+            this.camera.setAnalogMovement(0, 0);
+            this.joystick.classList.add('hidden');
+        }
+
+        console.log(`Touch controls ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+}
+
+export default TouchControlsManager;
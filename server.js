@@ -2,7 +2,12 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
 const cors = require('cors');
+const { ValidationError, createValidator } = require('./server/validation');
+const { SocketRateLimiter, formatCounters } = require('./server/rateLimiter');
 
 const app = express();
 const server = http.createServer(app);
@@ -10,112 +15,474 @@ const io = socketIo(server, {
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
-    }
+    },
+    // Übergroße Nachrichten bereits auf Transportebene abweisen
+    maxHttpBufferSize: 64 * 1024
 });
 
 const PORT = process.env.PORT || 3000;
 
+// Galerie-Instanzen (z.B. ?room=class-a)
+const DEFAULT_INSTANCE = 'lobby';
+const MAX_PLAYERS_PER_INSTANCE = parseInt(process.env.MAX_PLAYERS_PER_INSTANCE, 10) || 16;
+
+// Wartezeit nach Verbindungsabbruch, bevor ein Spieler als gegangen gilt
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 15000;
+
+// Intervall für Positions-Updates, wird den Clients beim Verbinden mitgeteilt
+const MOVE_UPDATE_INTERVAL = parseInt(process.env.MOVE_UPDATE_INTERVAL, 10) || 100;
+
+// Token-Bucket-Budgets pro Socket und Event (capacity = Burst, refillPerSecond = Dauerrate)
+const RATE_LIMITS = {
+    'player-join': { capacity: 3, refillPerSecond: 0.2 },
+    'player-update': { capacity: 3, refillPerSecond: 0.2 },
+    // Etwas Spielraum über der angekündigten Update-Rate für Netzwerk-Jitter
+    'player-move': { capacity: 10, refillPerSecond: (1000 / MOVE_UPDATE_INTERVAL) * 1.5 },
+    'chat-message': { capacity: 5, refillPerSecond: 0.5 }
+};
+
+// Verwarnungen vor dem Trennen eines Clients
+const RATE_LIMIT_OPTIONS = {
+    warningInterval: 1000,
+    maxWarnings: 3,
+    strikeWindow: 30000
+};
+
 app.use(cors());
 app.use(express.static(path.join(__dirname, '3D_gallery')));
 
-// Verbundene Spieler speichern
-const players = new Map();
+// Verbundene Spieler pro Instanz speichern (Instanzname -> Map(playerId -> Spieler))
+const instances = new Map();
+
+// Fortsetzbare Sitzungen (Token -> { playerId, instance, socketId, graceTimer })
+const sessions = new Map();
+
+// Validierung eingehender Events (wird beim Start aus GALLERY_CONFIG erstellt)
+let validatePayload = null;
+
+// Mit dem Client geteilte Galerie-Konfiguration (wird beim Start geladen)
+let galleryConfig = null;
+
+// Galerie-Layout und Manifest-Prüfung (werden beim Start geladen)
+let galleryLayout = null;
+let Exhibition = null;
+
+// Ausstellungs-Manifeste (eine JSON-Datei pro Ausstellung)
+const EXHIBITIONS_DIR = path.join(__dirname, '3D_gallery', 'assets', 'data', 'exhibitions');
+const EXHIBITION_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
 
 // Haupt-Galerie-Seite ausliefern
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, '3D_gallery', 'index.html'));
 });
 
+// Ausstellungs-Manifest ausliefern (wird bei jeder Anfrage gelesen und gegen das Layout geprüft)
+app.get('/api/exhibitions/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!EXHIBITION_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid exhibition id' });
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(path.join(EXHIBITIONS_DIR, `${id}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: `Exhibition "${id}" not found` });
+        }
+        console.error(`Failed to read exhibition "${id}":`, error.message);
+        return res.status(500).json({ error: `Exhibition "${id}" could not be read` });
+    }
+
+    try {
+        new Exhibition(manifest, galleryLayout);
+    } catch (error) {
+        console.error(`Exhibition "${id}" is invalid:`, error.message);
+        return res.status(500).json({ error: error.message });
+    }
+
+    res.json(manifest);
+});
+
 // WebSocket-Verbindungen
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
 
-    // Spieler tritt bei
-    socket.on('player-join', (playerData) => {
+    socket.data.rateLimiter = new SocketRateLimiter(RATE_LIMITS, RATE_LIMIT_OPTIONS);
+
+    // Server-Einstellungen an den Client senden
+    socket.emit('server-config', {
+        moveUpdateInterval: MOVE_UPDATE_INTERVAL
+    });
+
+    // Spieler tritt bei (oder setzt seine Sitzung fort)
+    onValidated(socket, 'player-join', (playerData) => {
+        const existingSession = sessions.get(playerData.sessionToken);
+        if (existingSession) {
+            if (!isSessionInUse(existingSession, socket)) {
+                resumeSession(socket, playerData.sessionToken);
+                return;
+            }
+
+            // Z.B. duplizierter Tab mit kopiertem sessionStorage: eigene Sitzung statt Übernahme
+            console.log(`Session of ${socket.id} is in use by another connection, starting a new one`);
+        }
+
+        const instanceName = normalizeInstanceName(playerData.instance);
+
+        // Bereits in einer Instanz? Alte Sitzung vorher sauber beenden
+        if (socket.data.sessionToken) {
+            endSession(socket.data.sessionToken);
+        }
+
+        const players = getInstancePlayers(instanceName);
+
+        if (players.size >= MAX_PLAYERS_PER_INSTANCE) {
+            socket.emit('instance-full', {
+                instance: instanceName,
+                capacity: MAX_PLAYERS_PER_INSTANCE
+            });
+            removeInstanceIfEmpty(instanceName);
+
+            console.log(`Player ${socket.id} rejected: instance "${instanceName}" is full`);
+            return;
+        }
+
+        const playerId = crypto.randomUUID();
         const player = {
-            id: socket.id,
-            name: playerData.name || `Player_${socket.id.substring(0, 6)}`,
+            id: playerId,
+            name: playerData.name || `Player_${playerId.substring(0, 6)}`,
             position: playerData.position || { x: 0, y: 1.6, z: 0 },
             rotation: playerData.rotation || { x: 0, y: 0, z: 0 },
-            color: playerData.color || generateRandomColor(),
+            movementMode: 'walk',
+            spectating: false,
+            color: playerData.color ?? generateRandomColor(),
+            hairColor: playerData.hairColor,
+            skinColor: playerData.skinColor,
+            pantsColor: playerData.pantsColor,
             joinedAt: Date.now()
         };
 
-        players.set(socket.id, player);
+        players.set(playerId, player);
 
-        // Spielerliste an neuen Spieler senden
+        const sessionToken = crypto.randomBytes(24).toString('base64url');
+        sessions.set(sessionToken, {
+            playerId,
+            instance: instanceName,
+            socketId: socket.id,
+            graceTimer: null
+        });
+        attachSocket(socket, sessionToken);
+
+        // Sitzung und Spielerliste der Instanz an neuen Spieler senden
+        socket.emit('session', { sessionToken, playerId, resumed: false, player });
         socket.emit('players-list', Array.from(players.values()));
 
-        // Andere Spieler informieren
-        socket.broadcast.emit('player-joined', player);
+        // Andere Spieler der Instanz informieren
+        socket.to(getRoomName(instanceName)).emit('player-joined', player);
 
-        console.log(`Player ${player.name} joined the gallery`);
+        console.log(`Player ${player.name} joined instance "${instanceName}" (${players.size}/${MAX_PLAYERS_PER_INSTANCE})`);
     });
 
     // Spielerbewegung
-    socket.on('player-move', (movementData) => {
-        const player = players.get(socket.id);
+    onValidated(socket, 'player-move', (movementData) => {
+        const player = getPlayer(socket);
         if (player) {
             player.position = movementData.position;
             player.rotation = movementData.rotation;
+            player.movementMode = movementData.movementMode || 'walk';
+            player.spectating = movementData.spectating || false;
 
-            // Bewegung an andere Spieler senden
-            socket.broadcast.emit('player-moved', {
-                id: socket.id,
+            // Bewegung an andere Spieler der Instanz senden
+            socket.to(getRoomName(socket.data.instance)).emit('player-moved', {
+                id: player.id,
                 position: player.position,
-                rotation: player.rotation
+                rotation: player.rotation,
+                movementMode: player.movementMode,
+                spectating: player.spectating,
+                timestamp: movementData.timestamp
             });
         }
     });
 
-    // Spieler verlässt
-    socket.on('disconnect', () => {
-        const player = players.get(socket.id);
+    // Name oder Avatar-Farben während der Sitzung ändern
+    onValidated(socket, 'player-update', (updateData) => {
+        const player = getPlayer(socket);
         if (player) {
-            console.log(`Player ${player.name} disconnected`);
-            players.delete(socket.id);
+            Object.assign(player, updateData);
 
-            socket.broadcast.emit('player-left', socket.id);
+            // Alle Spieler der Instanz (inkl. Absender) erhalten den bereinigten Stand
+            io.to(getRoomName(socket.data.instance)).emit('player-updated', player);
+
+            console.log(`Player ${player.id} updated profile (${player.name})`);
+        }
+    });
+
+    // Verbindung getrennt - Spieler erst nach Ablauf der Wartezeit entfernen
+    socket.on('disconnect', () => {
+        const sessionToken = socket.data.sessionToken;
+        const session = sessions.get(sessionToken);
+        const player = getPlayer(socket);
+
+        if (session && session.socketId === socket.id) {
+            console.log(`Player ${player.name} disconnected, keeping session for ${SESSION_GRACE_PERIOD}ms`);
+
+            session.socketId = null;
+            session.graceTimer = setTimeout(() => {
+                console.log(`Session of ${player.name} expired`);
+                endSession(sessionToken);
+            }, SESSION_GRACE_PERIOD);
+        }
+
+        if (socket.data.rateLimiter.hasDroppedEvents()) {
+            console.log(`Rate limit counters for ${socket.id}: ${formatCounters(socket.data.rateLimiter.getCounters())}`);
         }
     });
 
     // Chat-Nachrichten
-    socket.on('chat-message', (messageData) => {
-        const player = players.get(socket.id);
+    onValidated(socket, 'chat-message', (messageData) => {
+        const player = getPlayer(socket);
         if (player) {
             const message = {
-                playerId: socket.id,
+                playerId: player.id,
                 playerName: player.name,
                 message: messageData.message,
                 timestamp: Date.now()
             };
 
-            io.emit('chat-message', message);
+            io.to(getRoomName(socket.data.instance)).emit('chat-message', message);
         }
     });
 });
 
-// Zufällige Farbe generieren
+/**
+ * Event-Handler registrieren, der nur validierte und bereinigte Payloads erhält
+ *
+ * Events über dem Ratenbudget sowie ungültige Payloads werden verworfen und dem Absender
+ * als typisiertes 'error'-Event gemeldet.
+ */
+function onValidated(socket, eventName, handler) {
+    socket.on(eventName, (payload) => {
+        if (!checkRateLimit(socket, eventName)) return;
+
+        let data;
+        try {
+            data = validatePayload(eventName, payload);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+
+            socket.emit('error', {
+                type: 'validation',
+                event: eventName,
+                code: error.code,
+                message: error.message
+            });
+            console.warn(`Dropped invalid ${eventName} from ${socket.id}: ${error.code} - ${error.message}`);
+            return;
+        }
+
+        handler(data);
+    });
+}
+
+/**
+ * Event gegen das Ratenbudget des Sockets prüfen, Verwarnungen senden und Flooder trennen
+ */
+function checkRateLimit(socket, eventName) {
+    const rateLimiter = socket.data.rateLimiter;
+    const action = rateLimiter.consume(eventName);
+
+    if (action === 'allow') return true;
+    if (action === 'drop') return false;
+
+    const counters = formatCounters(rateLimiter.getCounters());
+
+    if (action === 'warn') {
+        socket.emit('error', {
+            type: 'rate-limit',
+            event: eventName,
+            code: 'RATE_LIMITED',
+            message: `Too many ${eventName} events, slow down (warning ${rateLimiter.getWarningCount()}/${RATE_LIMIT_OPTIONS.maxWarnings})`
+        });
+        console.warn(`Rate limit warning for ${socket.id} on ${eventName} (${counters})`);
+        return false;
+    }
+
+    socket.emit('error', {
+        type: 'rate-limit',
+        event: eventName,
+        code: 'RATE_LIMIT_DISCONNECT',
+        message: 'Disconnected for flooding the server'
+    });
+    console.warn(`Disconnecting ${socket.id} for flooding (${counters})`);
+    socket.disconnect(true);
+    return false;
+}
+
+/**
+ * Instanznamen aus Client-Angabe bereinigen
+ */
+function normalizeInstanceName(name) {
+    if (typeof name !== 'string') return DEFAULT_INSTANCE;
+
+    const normalized = name.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').substring(0, 32);
+    return normalized || DEFAULT_INSTANCE;
+}
+
+/**
+ * Socket.IO-Raumname einer Instanz
+ */
+function getRoomName(instanceName) {
+    return `instance:${instanceName}`;
+}
+
+/**
+ * Spielerliste einer Instanz abrufen (wird bei Bedarf angelegt)
+ */
+function getInstancePlayers(instanceName) {
+    if (!instances.has(instanceName)) {
+        instances.set(instanceName, new Map());
+    }
+    return instances.get(instanceName);
+}
+
+/**
+ * Spieler eines Sockets in seiner Instanz finden
+ */
+function getPlayer(socket) {
+    const players = instances.get(socket.data.instance);
+    return players ? players.get(socket.data.playerId) : undefined;
+}
+
+/**
+ * Socket mit einer Sitzung verknüpfen und dem Raum der Instanz beitreten
+ */
+function attachSocket(socket, sessionToken) {
+    const session = sessions.get(sessionToken);
+
+    socket.data.sessionToken = sessionToken;
+    socket.data.playerId = session.playerId;
+    socket.data.instance = session.instance;
+    socket.join(getRoomName(session.instance));
+}
+
+/**
+ * Verknüpfung zwischen Socket und Sitzung lösen (Spieler bleibt erhalten)
+ */
+function detachSocket(socket) {
+    if (socket.data.instance) {
+        socket.leave(getRoomName(socket.data.instance));
+    }
+
+    socket.data.sessionToken = null;
+    socket.data.playerId = null;
+    socket.data.instance = null;
+}
+
+/**
+ * Gehört die Sitzung noch einem anderen, verbundenen Socket?
+ */
+function isSessionInUse(session, socket) {
+    if (!session.socketId || session.socketId === socket.id) return false;
+
+    const owner = io.sockets.sockets.get(session.socketId);
+    return Boolean(owner && owner.connected);
+}
+
+/**
+ * Sitzung auf einem neuen Socket fortsetzen - die anderen Spieler bemerken davon nichts
+ */
+function resumeSession(socket, sessionToken) {
+    const session = sessions.get(sessionToken);
+
+    if (session.graceTimer) {
+        clearTimeout(session.graceTimer);
+        session.graceTimer = null;
+    }
+
+    // Dieser Socket gehörte bisher zu einer anderen Sitzung? Diese beenden
+    if (socket.data.sessionToken && socket.data.sessionToken !== sessionToken) {
+        endSession(socket.data.sessionToken);
+    }
+
+    session.socketId = socket.id;
+    attachSocket(socket, sessionToken);
+
+    const players = instances.get(session.instance);
+    const player = players.get(session.playerId);
+
+    socket.emit('session', { sessionToken, playerId: player.id, resumed: true, player });
+    socket.emit('players-list', Array.from(players.values()));
+
+    console.log(`Player ${player.name} resumed session in instance "${session.instance}"`);
+}
+
+/**
+ * Sitzung beenden, Spieler entfernen und die übrigen Spieler informieren
+ */
+function endSession(sessionToken) {
+    const session = sessions.get(sessionToken);
+    if (!session) return;
+
+    if (session.graceTimer) {
+        clearTimeout(session.graceTimer);
+    }
+    sessions.delete(sessionToken);
+
+    if (session.socketId) {
+        const socket = io.sockets.sockets.get(session.socketId);
+        if (socket) detachSocket(socket);
+    }
+
+    const players = instances.get(session.instance);
+    if (players && players.delete(session.playerId)) {
+        io.to(getRoomName(session.instance)).emit('player-left', session.playerId);
+    }
+
+    removeInstanceIfEmpty(session.instance);
+}
+
+/**
+ * Leere Instanzen verwerfen
+ */
+function removeInstanceIfEmpty(instanceName) {
+    const players = instances.get(instanceName);
+    if (players && players.size === 0) {
+        instances.delete(instanceName);
+    }
+}
+
+// Zufällige Farbe aus der gemeinsamen Palette generieren
 function generateRandomColor() {
-    const colors = [
-        0xff6b6b,
-        0x4ecdc4,
-        0x45b7d1,
-        0x96ceb4,
-        0xfeca57,
-        0xff9ff3,
-        0x54a0ff,
-        0x5f27cd,
-        0x00d2d3,
-        0xff9f43
-    ];
+    const colors = galleryConfig.MULTIPLAYER.PLAYER_COLORS;
     return colors[Math.floor(Math.random() * colors.length)];
 }
 
-// Server starten
-server.listen(PORT, () => {
-    console.log(`🚀 3D Gallery server running on http://localhost:${PORT}`);
-    console.log(`📱 Open multiple browser tabs to test multiplayer functionality`);
+// Server starten (Galerie-Konfiguration wird mit dem Client geteilt)
+async function start() {
+    const constantsPath = path.join(__dirname, '3D_gallery', 'assets', 'js', 'config', 'constants.js');
+    const layoutModulePath = path.join(__dirname, '3D_gallery', 'assets', 'js', 'modules', 'galleryLayout.js');
+    const exhibitionModulePath = path.join(__dirname, '3D_gallery', 'assets', 'js', 'modules', 'exhibition.js');
+    const { GALLERY_CONFIG } = await import(pathToFileURL(constantsPath).href);
+    const { GalleryLayout } = await import(pathToFileURL(layoutModulePath).href);
+    ({ Exhibition } = await import(pathToFileURL(exhibitionModulePath).href));
+    galleryConfig = GALLERY_CONFIG;
+
+    // Dasselbe Layout wie im Client bestimmt die erlaubten Positionen
+    const layoutPath = path.join(__dirname, '3D_gallery', GALLERY_CONFIG.LAYOUT.FILE);
+    galleryLayout = new GalleryLayout(JSON.parse(await fs.readFile(layoutPath, 'utf8')));
+    validatePayload = createValidator(GALLERY_CONFIG, galleryLayout);
+
+    server.listen(PORT, () => {
+        console.log(`🚀 3D Gallery server running on http://localhost:${PORT}`);
+        console.log(`📱 Open multiple browser tabs to test multiplayer functionality`);
+        console.log(`🚪 Gallery instances: append ?room=<name> to the URL (max ${MAX_PLAYERS_PER_INSTANCE} players each)`);
+    });
+}
+
+start().catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
 
 // Graceful Shutdown
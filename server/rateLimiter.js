@@ -0,0 +1,116 @@
+/**
+ * Token-Bucket-Ratenbegrenzung pro Socket und Event-Typ
+ */
+
+/**
+ * Einzelner Token-Bucket (Kapazität = erlaubter Burst, Rate = Tokens pro Sekunde)
+ */
+class TokenBucket {
+    constructor(capacity, refillPerSecond, now = Date.now()) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = now;
+    }
+
+    tryConsume(now = Date.now()) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * Ratenbegrenzung eines Sockets
+ *
+ * Verworfene Events werden gezählt; höchstens einmal pro warningInterval gibt es eine Verwarnung.
+ * Wer innerhalb von strikeWindow mehr als maxWarnings Verwarnungen sammelt, wird getrennt.
+ */
+class SocketRateLimiter {
+    constructor(limits, options = {}) {
+        this.limits = limits;
+        this.warningInterval = options.warningInterval || 1000;
+        this.maxWarnings = options.maxWarnings || 3;
+        this.strikeWindow = options.strikeWindow || 30000;
+
+        this.buckets = new Map();
+        this.counters = {};
+        this.warnings = [];
+        this.lastWarning = 0;
+    }
+
+    /**
+     * Event verbuchen
+     *
+     * @returns {'allow'|'drop'|'warn'|'disconnect'} Aktion für den Aufrufer
+     */
+    consume(eventName, now = Date.now()) {
+        const limit = this.limits[eventName];
+        const counter = this.getCounter(eventName);
+
+        if (!limit) {
+            counter.allowed++;
+            return 'allow';
+        }
+
+        if (!this.buckets.has(eventName)) {
+            this.buckets.set(eventName, new TokenBucket(limit.capacity, limit.refillPerSecond, now));
+        }
+
+        if (this.buckets.get(eventName).tryConsume(now)) {
+            counter.allowed++;
+            return 'allow';
+        }
+
+        counter.dropped++;
+
+        if (now - this.lastWarning < this.warningInterval) {
+            return 'drop';
+        }
+
+        this.lastWarning = now;
+        this.warnings = this.warnings.filter((time) => now - time < this.strikeWindow);
+        this.warnings.push(now);
+
+        return this.warnings.length > this.maxWarnings ? 'disconnect' : 'warn';
+    }
+
+    getCounter(eventName) {
+        if (!this.counters[eventName]) {
+            this.counters[eventName] = { allowed: 0, dropped: 0 };
+        }
+        return this.counters[eventName];
+    }
+
+    getCounters() {
+        return this.counters;
+    }
+
+    getWarningCount() {
+        return this.warnings.length;
+    }
+
+    hasDroppedEvents() {
+        return Object.values(this.counters).some((counter) => counter.dropped > 0);
+    }
+}
+
+/**
+ * Zähler für die Log-Ausgabe formatieren
+ */
+function formatCounters(counters) {
+    return Object.entries(counters)
+        .map(([eventName, { allowed, dropped }]) => `${eventName}: ${allowed} allowed / ${dropped} dropped`)
+        .join(', ');
+}
+
+module.exports = {
+    TokenBucket,
+    SocketRateLimiter,
+    formatCounters
+};
@@ -0,0 +1,236 @@
+/**
+ * Schema-Validierung und Bereinigung aller eingehenden Client-Events
+ */
+
+// Steuerzeichen (inkl. DEL und Unicode-Steuerzeichen) entfernen
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f]/g;
+
+class ValidationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Erlaubte Positionsgrenzen aus den äußeren Grenzen des Galerie-Layouts berechnen
+ */
+function computeGalleryBounds(layout, config) {
+    const { min, max } = layout.getBounds();
+    const tolerance = config.MULTIPLAYER.BOUNDS_TOLERANCE;
+
+    return {
+        min: { x: min.x - tolerance, y: min.y, z: min.z - tolerance },
+        max: { x: max.x + tolerance, y: max.y, z: max.z + tolerance }
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sanitizeText(value) {
+    return value.replace(CONTROL_CHARS, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Feld-Validatoren: geben den bereinigten Wert zurück oder werfen einen ValidationError
+ */
+const fields = {
+    name(maxLength) {
+        return (value) => {
+            if (typeof value !== 'string') {
+                throw new ValidationError('INVALID_NAME', 'Name must be a string');
+            }
+            // Zu lange Namen werden gekürzt, leere fallen auf den Standardnamen zurück
+            const name = sanitizeText(value).substring(0, maxLength).trim();
+            return name || undefined;
+        };
+    },
+
+    text(maxLength, code) {
+        return (value) => {
+            if (typeof value !== 'string') {
+                throw new ValidationError(code, 'Message must be a string');
+            }
+            if (value.length > maxLength * 4) {
+                throw new ValidationError(code, `Message exceeds ${maxLength} characters`);
+            }
+            const text = sanitizeText(value);
+            if (text.length === 0) {
+                throw new ValidationError(code, 'Message is empty');
+            }
+            if (text.length > maxLength) {
+                throw new ValidationError(code, `Message exceeds ${maxLength} characters`);
+            }
+            return text;
+        };
+    },
+
+    position(bounds) {
+        return (value) => {
+            if (!isPlainObject(value)) {
+                throw new ValidationError('INVALID_POSITION', 'Position must be an object');
+            }
+            const position = {};
+            for (const axis of ['x', 'y', 'z']) {
+                const component = value[axis];
+                if (typeof component !== 'number' || !Number.isFinite(component)) {
+                    throw new ValidationError('INVALID_POSITION', `Position.${axis} must be a finite number`);
+                }
+                if (component < bounds.min[axis] || component > bounds.max[axis]) {
+                    throw new ValidationError('OUT_OF_BOUNDS', `Position.${axis} is outside the gallery bounds`);
+                }
+                position[axis] = component;
+            }
+            return position;
+        };
+    },
+
+    rotation() {
+        return (value) => {
+            if (!isPlainObject(value)) {
+                throw new ValidationError('INVALID_ROTATION', 'Rotation must be an object');
+            }
+            const rotation = {};
+            for (const axis of ['x', 'y', 'z']) {
+                const component = value[axis];
+                if (typeof component !== 'number' || !Number.isFinite(component)) {
+                    throw new ValidationError('INVALID_ROTATION', `Rotation.${axis} must be a finite number`);
+                }
+                // Winkel auf [-PI, PI] normalisieren
+                rotation[axis] = Math.atan2(Math.sin(component), Math.cos(component));
+            }
+            return rotation;
+        };
+    },
+
+    color() {
+        return (value) => {
+            if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+                throw new ValidationError('INVALID_COLOR', 'Color must be an integer between 0x000000 and 0xffffff');
+            }
+            return value;
+        };
+    },
+
+    identifier(maxLength) {
+        return (value) => {
+            if (typeof value !== 'string' || value.length > maxLength) {
+                throw new ValidationError('INVALID_IDENTIFIER', `Identifier must be a string of at most ${maxLength} characters`);
+            }
+            return value;
+        };
+    },
+
+    number() {
+        return (value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new ValidationError('INVALID_NUMBER', 'Value must be a finite number');
+            }
+            return value;
+        };
+    },
+
+    oneOf(values, code) {
+        return (value) => {
+            if (!values.includes(value)) {
+                throw new ValidationError(code, `Value must be one of ${values.join(', ')}`);
+            }
+            return value;
+        };
+    },
+
+    boolean() {
+        return (value) => {
+            if (typeof value !== 'boolean') {
+                throw new ValidationError('INVALID_BOOLEAN', 'Value must be a boolean');
+            }
+            return value;
+        };
+    }
+};
+
+/**
+ * Schemas aller eingehenden Events erstellen
+ */
+function createSchemas(config, layout) {
+    const bounds = computeGalleryBounds(layout, config);
+    const { NAME_MAX_LENGTH, CHAT_MAX_LENGTH } = config.MULTIPLAYER;
+
+    return {
+        'player-join': {
+            name: { validate: fields.name(NAME_MAX_LENGTH) },
+            position: { validate: fields.position(bounds) },
+            rotation: { validate: fields.rotation() },
+            color: { validate: fields.color() },
+            hairColor: { validate: fields.color() },
+            skinColor: { validate: fields.color() },
+            pantsColor: { validate: fields.color() },
+            instance: { validate: fields.identifier(64) },
+            sessionToken: { validate: fields.identifier(64) }
+        },
+        'player-move': {
+            position: { validate: fields.position(bounds), required: true },
+            rotation: { validate: fields.rotation(), required: true },
+            isJumping: { validate: fields.boolean() },
+            movementMode: { validate: fields.oneOf(Object.keys(config.MOVEMENT.SPEED_FACTORS), 'INVALID_MOVEMENT_MODE') },
+            spectating: { validate: fields.boolean() },
+            timestamp: { validate: fields.number() }
+        },
+        'player-update': {
+            name: { validate: fields.name(NAME_MAX_LENGTH) },
+            color: { validate: fields.color() },
+            hairColor: { validate: fields.color() },
+            skinColor: { validate: fields.color() },
+            pantsColor: { validate: fields.color() }
+        },
+        'chat-message': {
+            message: { validate: fields.text(CHAT_MAX_LENGTH, 'INVALID_MESSAGE'), required: true }
+        }
+    };
+}
+
+/**
+ * Validator für alle eingehenden Events erstellen
+ *
+ * Unbekannte Felder werden verworfen, nur bereinigte Schema-Felder werden zurückgegeben.
+ */
+function createValidator(config, layout) {
+    const schemas = createSchemas(config, layout);
+
+    return function validate(eventName, payload) {
+        const schema = schemas[eventName];
+        if (!schema) {
+            throw new ValidationError('UNKNOWN_EVENT', `No schema for event "${eventName}"`);
+        }
+        if (!isPlainObject(payload)) {
+            throw new ValidationError('INVALID_PAYLOAD', 'Payload must be an object');
+        }
+
+        const result = {};
+        for (const [field, rule] of Object.entries(schema)) {
+            const value = payload[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    throw new ValidationError('MISSING_FIELD', `Field "${field}" is required`);
+                }
+                continue;
+            }
+
+            const sanitized = rule.validate(value);
+            if (sanitized !== undefined) {
+                result[field] = sanitized;
+            }
+        }
+        return result;
+    };
+}
+
+module.exports = {
+    ValidationError,
+    computeGalleryBounds,
+    createValidator
+};